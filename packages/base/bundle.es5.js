@@ -4,23 +4,37 @@ import "./dist/features/browsersupport/IE11.js";
 import "./bundle.esm.js";
 
 import { getAnimationMode } from "./dist/config/AnimationMode.js";
-import { getLanguage } from "./dist/config/Language.js";
+import { getContentDensity, setContentDensity } from "./dist/config/ContentDensity.js";
+import { getLanguage, setLanguage } from "./dist/config/Language.js";
 import { getCalendarType } from "./dist/config/CalendarType.js";
-import { getTheme, setTheme } from "./dist/config/Theme.js";
+import { getTheme, setTheme, setAutoThemeMapping } from "./dist/config/Theme.js";
 import { getNoConflict, setNoConflict } from "./dist/config/NoConflict.js";
-import { getRTL } from "./dist/config/RTL.js";
-import { getFirstDayOfWeek } from "./dist/config/FormatSettings.js";
+import { getRTL, setRTL } from "./dist/config/RTL.js";
+import { getFirstDayOfWeek, getCalendarWeekNumbering, setFormatSettings } from "./dist/config/FormatSettings.js";
+import { getPseudoLocalization, setPseudoLocalization } from "./dist/config/PseudoLocalization.js";
+import { getRenderBudget, setRenderBudget } from "./dist/config/RenderBudget.js";
 import { getRegisteredNames as getIconNames } from  "./dist/SVGIconRegistry.js"
 const configuration = {
 	getAnimationMode,
+	getContentDensity,
+	setContentDensity,
 	getLanguage,
+	setLanguage,
 	getTheme,
 	setTheme,
+	setAutoThemeMapping,
 	getNoConflict,
 	setNoConflict,
 	getCalendarType,
 	getRTL,
+	setRTL,
 	getFirstDayOfWeek,
+	getCalendarWeekNumbering,
+	setFormatSettings,
+	getPseudoLocalization,
+	setPseudoLocalization,
+	getRenderBudget,
+	setRenderBudget,
 };
 export {
 	configuration,
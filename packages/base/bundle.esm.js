@@ -1,4 +1,4 @@
-import { registerThemeProperties } from "./dist/AssetRegistry.js";
+import { registerThemeProperties, registerDerivedTheme } from "./dist/AssetRegistry.js";
 
 import "./dist/features/calendar/Buddhist.js";
 import "./dist/features/calendar/Islamic.js";
@@ -8,6 +8,11 @@ import "./dist/features/calendar/Persian.js";
 // ESM bundle targets Edge + browsers with native support
 import "./dist/features/browsersupport/Edge.js";
 import "./dist/features/OpenUI5Support.js";
+import "./dist/features/LocaleMessageFormat.js";
+
+// Warnings about invalid property values are checked in the tests
+import "./dist/features/DevMode.js";
+import "./dist/features/ComponentInspector.js";
 
 // Test components
 import "./dist/test-resources/elements/Generic.js";
@@ -15,6 +20,7 @@ import "./dist/test-resources/elements/NoShadowDOM.js";
 import "./dist/test-resources/elements/Parent.js";
 import "./dist/test-resources/elements/Child.js";
 import "./dist/test-resources/elements/GenericExt.js";
+import "./dist/test-resources/elements/WithBindings.js";
 
 // Test themes - CSS Vars for the sap_fiori_3, sap_fiori_3_dark, sap_belize and sap_belize_hcb themes
 import "./dist/test-resources/assets/Themes.js";
@@ -24,30 +30,59 @@ import RenderScheduler from "./dist/RenderScheduler.js";
 window.RenderScheduler = RenderScheduler;
 import { isIE } from "./dist/Device.js";
 window.isIE = isIE; // attached to the window object for testing purposes
+import * as Theming from "./dist/Theming.js";
+window.Theming = Theming; // used in test pages - to add custom CSS at runtime
+
+// used for tests - to render components to declarative shadow DOM
+import renderToString from "./dist/renderer/renderToString.js";
+window.renderToString = renderToString;
+
+// used for tests - to load and format texts of an app-registered bundle
+import { getI18nBundle, fetchI18nBundle } from "./dist/i18nBundle.js";
+import { registerI18nBundle, setI18nBundleData } from "./dist/asset-registries/i18n.js";
+window.getI18nBundle = getI18nBundle;
+window.fetchI18nBundle = fetchI18nBundle;
+window.registerI18nBundle = registerI18nBundle;
+window.setI18nBundleData = setI18nBundleData;
 
 // used for tests - to register a custom theme
 window.registerThemeProperties = registerThemeProperties;
+window.registerDerivedTheme = registerDerivedTheme;
 
 // Note: keep in sync with rollup.config value for IIFE
 import { getAnimationMode } from "./dist/config/AnimationMode.js";
-import { getLanguage } from "./dist/config/Language.js";
+import { getContentDensity, setContentDensity } from "./dist/config/ContentDensity.js";
+import { getLanguage, setLanguage } from "./dist/config/Language.js";
 import { getCalendarType } from "./dist/config/CalendarType.js";
-import { getTheme, setTheme } from "./dist/config/Theme.js";
+import { getTheme, setTheme, setAutoThemeMapping } from "./dist/config/Theme.js";
 import { getNoConflict, setNoConflict } from "./dist/config/NoConflict.js";
-import { getRTL } from "./dist/config/RTL.js";
-import { getFirstDayOfWeek } from "./dist/config/FormatSettings.js";
+import { getRTL, setRTL } from "./dist/config/RTL.js";
+import { getFirstDayOfWeek, getCalendarWeekNumbering, setFormatSettings } from "./dist/config/FormatSettings.js";
+import { getPseudoLocalization, setPseudoLocalization } from "./dist/config/PseudoLocalization.js";
+import { getRenderBudget, setRenderBudget } from "./dist/config/RenderBudget.js";
 import { getRegisteredNames as getIconNames } from  "./dist/SVGIconRegistry.js"
 window["sap-ui-webcomponents-bundle"] = {
 	configuration : {
 		getAnimationMode,
+		getContentDensity,
+		setContentDensity,
 		getLanguage,
+		setLanguage,
 		getTheme,
 		setTheme,
+		setAutoThemeMapping,
 		getNoConflict,
 		setNoConflict,
 		getCalendarType,
 		getRTL,
+		setRTL,
 		getFirstDayOfWeek,
+		getCalendarWeekNumbering,
+		setFormatSettings,
+		getPseudoLocalization,
+		setPseudoLocalization,
+		getRenderBudget,
+		setRenderBudget,
 	},
 	getIconNames,
 };
@@ -31,8 +31,10 @@ const scripts = {
 	},
 	test: {
 		// --success first - report the exit code of the test run (first command to finish), as serve is always terminated and has a non-0 exit code
-		default: 'concurrently "nps serve" "nps test.run" --kill-others --success first',
+		default: 'nps test.node && concurrently "nps serve" "nps test.run" --kill-others --success first',
 		run: "cross-env WDIO_LOG_LEVEL=error FORCE_COLOR=0 wdio config/wdio.conf.js",
+		// renderToString is meant for Node.js, so it is tested there as well (on the copied sources and test elements)
+		node: "node --no-warnings dist/test-resources/node/renderToString.mjs",
 	},
 };
 
@@ -1,9 +1,10 @@
 import { registerI18nBundle } from "./asset-registries/i18n.js";
 import { registerCldr } from "./asset-registries/LocaleData.js";
-import { registerThemeProperties } from "./asset-registries/Themes.js";
+import { registerThemeProperties, registerDerivedTheme } from "./asset-registries/Themes.js";
 
 export {
 	registerCldr,
 	registerThemeProperties,
+	registerDerivedTheme,
 	registerI18nBundle,
 };
@@ -1,5 +1,8 @@
 import { getEffectiveStyle } from "./Theming.js";
 import { injectWebComponentStyle } from "./theming/StyleInjection.js";
+import { attachCustomCSSChange } from "./theming/CustomStyle.js";
+import { getScopedTag } from "./CustomElementsScope.js";
+import RenderScheduler from "./RenderScheduler.js";
 import adaptCSSForIE from "./util/CSSTransformUtils.js";
 
 const constructableStyleMap = new Map();
@@ -16,12 +19,16 @@ const createHeadStyle = ElementClass => {
 		return;
 	}
 
-	let cssContent = getEffectiveStyle(ElementClass);
-	cssContent = adaptCSSForIE(cssContent, tag);
-	injectWebComponentStyle(tag, cssContent);
+	injectHeadStyle(ElementClass);
 	IEStyleSet.add(tag);
 };
 
+const injectHeadStyle = ElementClass => {
+	const tag = ElementClass.getMetadata().getTag();
+	const cssContent = adaptCSSForIE(getEffectiveStyle(ElementClass), tag);
+	injectWebComponentStyle(tag, cssContent);
+};
+
 /**
  * Returns (and caches) a constructable style sheet for a web component class
  * Note: Chrome
@@ -42,6 +49,33 @@ const getConstructableStyle = ElementClass => {
 	return style;
 };
 
+/**
+ * Applies the added/removed custom CSS to the already rendered instances of a web component class
+ * @param tag the tag of the web component, without the scoping suffix
+ */
+const onCustomCSSChange = tag => {
+	const scopedTag = getScopedTag(tag);
+	const ElementClass = customElements.get(scopedTag);
+	if (!ElementClass || !ElementClass.prototype.isUI5Element) {
+		return;
+	}
+
+	// Chrome - the style sheet is shared by all instances
+	if (constructableStyleMap.has(scopedTag)) {
+		constructableStyleMap.get(scopedTag).replaceSync(getEffectiveStyle(ElementClass));
+	}
+
+	// IE11, Edge
+	if (IEStyleSet.has(scopedTag)) {
+		injectHeadStyle(ElementClass);
+	}
+
+	// Other browsers get the styles upon rendering, as well as the static area fragments
+	RenderScheduler.reRenderAllUI5Elements(webComponent => webComponent.constructor === ElementClass);
+};
+
+attachCustomCSSChange(onCustomCSSChange);
+
 export {
 	createHeadStyle,
 	getConstructableStyle,
@@ -0,0 +1,32 @@
+import ContentDensity from "./types/ContentDensity.js";
+
+// Makes the whole page compact, same as the "ui5-content-density-compact" class (see the "sizes-parameters.css" files of the themes)
+const COMPACT_ATTRIBUTE = "data-ui5-compact-size";
+
+const contentDensityChangeCallbacks = [];
+
+const attachContentDensityChange = function attachContentDensityChange(callback) {
+	if (contentDensityChangeCallbacks.indexOf(callback) === -1) {
+		contentDensityChangeCallbacks.push(callback);
+	}
+};
+
+/**
+ * Applies the content density to the whole page and executes the content density change callbacks
+ * @param contentDensity "cozy" or "compact"
+ * @private
+ */
+const _applyContentDensity = contentDensity => {
+	if (contentDensity === ContentDensity.Compact) {
+		document.documentElement.setAttribute(COMPACT_ATTRIBUTE, "");
+	} else {
+		document.documentElement.removeAttribute(COMPACT_ATTRIBUTE);
+	}
+
+	contentDensityChangeCallbacks.forEach(callback => callback(contentDensity));
+};
+
+export {
+	attachContentDensityChange,
+	_applyContentDensity,
+};
@@ -0,0 +1,108 @@
+let suffix;
+
+const TAG_PREFIX = "ui5-";
+const SUFFIX_REGEX = /^[a-zA-Z0-9-]+$/;
+
+// Opening and closing tags of UI5 Web Components in templates: <ui5-button, </ui5-button
+const TEMPLATE_TAG_REGEX = /(<\/?)(ui5-[a-zA-Z0-9-]+)/g;
+
+// Type selectors of UI5 Web Components in CSS: "ui5-button[focused]", "::slotted(ui5-icon)", ".root ui5-label"
+// Class names (.ui5-...), CSS variables (--ui5-...), attribute values and strings are not matched
+const CSS_TAG_REGEX = /(^|[\s,>+~(){}])(ui5-[a-zA-Z0-9-]+)(?![\w-])/g;
+
+const scopedTemplateStrings = new WeakMap();
+const scopedCSS = new Map();
+
+/**
+ * Sets a suffix, which is appended to the tags of all UI5 Web Components, for example:
+ * "ui5-button" becomes "ui5-button-mysuffix".
+ * This way several versions of UI5 Web Components can coexist on the same page (f.e. in different micro-frontends).
+ *
+ * Note: must be called before any of the components is defined.
+ *
+ * @public
+ * @param {string} newSuffix a string, consisting of letters, digits and dashes, f.e. "demo" or "v1-2"
+ */
+const setCustomElementsScopingSuffix = newSuffix => {
+	if (!SUFFIX_REGEX.test(newSuffix)) {
+		throw new Error(`Invalid custom elements scoping suffix "${newSuffix}". Only letters, digits and dashes are allowed.`);
+	}
+
+	suffix = newSuffix.toLowerCase();
+};
+
+/**
+ * Returns the currently set scoping suffix, if any.
+ *
+ * @public
+ * @returns {string|undefined}
+ */
+const getCustomElementsScopingSuffix = () => {
+	return suffix;
+};
+
+/**
+ * Returns the tag, under which a UI5 Web Component is defined, taking the scoping suffix into account.
+ *
+ * @public
+ * @param {string} tag the tag, as declared in the component's metadata, f.e. "ui5-button"
+ * @returns {string}
+ */
+const getScopedTag = tag => {
+	if (!suffix || !tag.startsWith(TAG_PREFIX)) {
+		return tag;
+	}
+
+	return `${tag}-${suffix}`;
+};
+
+/**
+ * Replaces the tags of UI5 Web Components in the static parts of a template.
+ * The result is cached per strings array, as the template engine relies on its identity.
+ *
+ * @protected
+ * @param {string[]} strings the static parts of a tagged template literal
+ * @returns {string[]}
+ */
+const scopeTemplateStrings = strings => {
+	if (!suffix) {
+		return strings;
+	}
+
+	let result = scopedTemplateStrings.get(strings);
+	if (!result) {
+		result = strings.map(str => str.replace(TEMPLATE_TAG_REGEX, (match, bracket, tag) => `${bracket}${getScopedTag(tag)}`));
+		scopedTemplateStrings.set(strings, result);
+	}
+
+	return result;
+};
+
+/**
+ * Replaces the type selectors of UI5 Web Components in CSS text.
+ *
+ * @protected
+ * @param {string} cssText
+ * @returns {string}
+ */
+const scopeCSSTags = cssText => {
+	if (!suffix) {
+		return cssText;
+	}
+
+	let result = scopedCSS.get(cssText);
+	if (result === undefined) {
+		result = cssText.replace(CSS_TAG_REGEX, (match, before, tag) => `${before}${getScopedTag(tag)}`);
+		scopedCSS.set(cssText, result);
+	}
+
+	return result;
+};
+
+export {
+	setCustomElementsScopingSuffix,
+	getCustomElementsScopingSuffix,
+	getScopedTag,
+	scopeTemplateStrings,
+	scopeCSSTags,
+};
@@ -1,9 +1,21 @@
 import { getLocale } from "./LocaleProvider.js";
+import Locale from "./Locale.js";
+import CalendarWeekNumbering from "./types/CalendarWeekNumbering.js";
+import {
+	getFirstDayOfWeek,
+	getCalendarWeekNumbering,
+	getDatePattern,
+	getTimePattern,
+	getDecimalSeparator,
+	getGroupingSeparator,
+} from "./config/FormatSettings.js";
 
-const mSettings = {};
+const STYLES = ["short", "medium", "long", "full"];
 
-const getFormatLocale = () => {
-	return getLocale();
+// The first day of the week and the minimal days in the first week of the year for each week numbering
+const WEEK_DATA = {
+	[CalendarWeekNumbering.ISO_8601]: { firstDay: 1, minDays: 4 },
+	[CalendarWeekNumbering.WesternTraditional]: { firstDay: 0, minDays: 1 },
 };
 
 const SETTINGS = {
@@ -14,10 +26,57 @@ const setConfiguration = configuration => {
 	SETTINGS.configuration = configuration;
 };
 
+/**
+ * Returns the locale data, overridden by the format settings, with the keys expected by <code>CustomLocaleData</code>
+ */
 const getCustomLocaleData = () => {
+	const mSettings = {};
+	const weekData = WEEK_DATA[getCalendarWeekNumbering()];
+	const firstDayOfWeek = getFirstDayOfWeek();
+
+	if (weekData) {
+		mSettings["weekData-firstDay"] = weekData.firstDay;
+		mSettings["weekData-minDays"] = weekData.minDays;
+	}
+
+	if (Number.isInteger(firstDayOfWeek)) {
+		mSettings["weekData-firstDay"] = firstDayOfWeek;
+	}
+
+	STYLES.forEach(style => {
+		if (getDatePattern(style)) {
+			mSettings[`dateFormats-${style}`] = getDatePattern(style);
+		}
+		if (getTimePattern(style)) {
+			mSettings[`timeFormats-${style}`] = getTimePattern(style);
+		}
+	});
+
+	if (getDecimalSeparator()) {
+		mSettings["symbols-latn-decimal"] = getDecimalSeparator();
+	}
+
+	if (getGroupingSeparator()) {
+		mSettings["symbols-latn-group"] = getGroupingSeparator();
+	}
+
 	return mSettings;
 };
 
+/**
+ * Returns the locale, used for formatting. When any format settings are set,
+ * the "sapufmt" private use subtag is added, so that <code>LocaleData</code> takes them into account.
+ */
+const getFormatLocale = () => {
+	const locale = getLocale();
+
+	if (!locale || !Object.keys(getCustomLocaleData()).length) {
+		return locale;
+	}
+
+	return new Locale(locale.getPrivateUse() ? `${locale}-sapufmt` : `${locale}-x-sapufmt`);
+};
+
 // needed for compatibilty
 const getLegacyDateFormat = () => {};
 const getLegacyDateCalendarCustomizing = () => {};
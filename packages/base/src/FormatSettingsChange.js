@@ -0,0 +1,20 @@
+const formatSettingsChangeCallbacks = [];
+
+const attachFormatSettingsChange = function attachFormatSettingsChange(callback) {
+	if (formatSettingsChangeCallbacks.indexOf(callback) === -1) {
+		formatSettingsChangeCallbacks.push(callback);
+	}
+};
+
+/**
+ * Executes all format settings change callbacks, before the components are re-rendered with the new format settings
+ * @private
+ */
+const _fireFormatSettingsChange = formatSettings => {
+	formatSettingsChangeCallbacks.forEach(callback => callback(formatSettings));
+};
+
+export {
+	attachFormatSettingsChange,
+	_fireFormatSettingsChange,
+};
@@ -5,12 +5,20 @@ let initialized = false;
 
 let initialConfig = {
 	animationMode: "full",
+	contentDensity: "cozy",
 	theme: "sap_fiori_3",
+	autoThemeMapping: {
+		light: "sap_fiori_3",
+		dark: "sap_fiori_3_dark",
+		contrast: "sap_belize_hcb",
+	},
 	rtl: null,
 	language: null,
 	calendarType: null,
 	noConflict: false, // no URL
 	formatSettings: {},
+	renderBudget: 10,
+	pseudoLocalization: false,
 };
 
 /* General settings */
@@ -19,11 +27,21 @@ const getAnimationMode = () => {
 	return initialConfig.animationMode;
 };
 
+const getContentDensity = () => {
+	initConfiguration();
+	return initialConfig.contentDensity;
+};
+
 const getTheme = () => {
 	initConfiguration();
 	return initialConfig.theme;
 };
 
+const getAutoThemeMapping = () => {
+	initConfiguration();
+	return initialConfig.autoThemeMapping;
+};
+
 const getRTL = () => {
 	initConfiguration();
 	return initialConfig.rtl;
@@ -49,6 +67,16 @@ const getFormatSettings = () => {
 	return initialConfig.formatSettings;
 };
 
+const getRenderBudget = () => {
+	initConfiguration();
+	return initialConfig.renderBudget;
+};
+
+const getPseudoLocalization = () => {
+	initConfiguration();
+	return initialConfig.pseudoLocalization;
+};
+
 const booleanMapping = new Map();
 booleanMapping.set("true", true);
 booleanMapping.set("false", false);
@@ -121,10 +149,14 @@ const initConfiguration = () => {
 
 export {
 	getAnimationMode,
+	getContentDensity,
 	getTheme,
+	getAutoThemeMapping,
 	getRTL,
 	getLanguage,
 	getNoConflict,
 	getCalendarType,
 	getFormatSettings,
+	getRenderBudget,
+	getPseudoLocalization,
 };
@@ -0,0 +1,21 @@
+const languageChangeCallbacks = [];
+
+const attachLanguageChange = function attachLanguageChange(callback) {
+	if (languageChangeCallbacks.indexOf(callback) === -1) {
+		languageChangeCallbacks.push(callback);
+	}
+};
+
+/**
+ * Executes all language change callbacks and returns a promise that is resolved when all of them are finished.
+ * Callbacks may return a promise (f.e. when they fetch assets for the new language)
+ * @private
+ */
+const _fireLanguageChange = language => {
+	return Promise.all(languageChangeCallbacks.map(callback => callback(language)));
+};
+
+export {
+	attachLanguageChange,
+	_fireLanguageChange,
+};
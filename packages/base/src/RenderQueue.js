@@ -30,6 +30,28 @@ class RenderQueue {
 		}
 	}
 
+	/**
+	 * Moves the web components, for which the callback returns true, to the front of the queue (keeping their order)
+	 * @param isPrioritized
+	 */
+	prioritize(isPrioritized) {
+		const prioritized = [];
+		const rest = [];
+
+		this.list.forEach(webComponent => {
+			(isPrioritized(webComponent) ? prioritized : rest).push(webComponent);
+		});
+
+		this.list = prioritized.concat(rest);
+	}
+
+	remove(webComponent) {
+		if (this.promises.has(webComponent)) {
+			this.list.splice(this.list.indexOf(webComponent), 1);
+			this.promises.delete(webComponent);
+		}
+	}
+
 	getList() {
 		return this.list;
 	}
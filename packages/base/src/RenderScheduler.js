@@ -1,4 +1,5 @@
 import RenderQueue from "./RenderQueue.js";
+import { getRenderBudget } from "./config/RenderBudget.js";
 
 const MAX_RERENDER_COUNT = 10;
 
@@ -8,12 +9,50 @@ let renderTaskId;
 // Queue for invalidated web components
 const invalidatedWebComponents = new RenderQueue();
 
+// All web components that are currently in the DOM
+const registeredElements = new Set();
+
+// Web components that are currently in the viewport - rendered before all others
+const visibleElements = new WeakSet();
+
+// Web components, for which the intersection observer has already reported whether they are in the viewport
+const observedElements = new WeakSet();
+
+const intersectionObserver = typeof IntersectionObserver === "function" && new IntersectionObserver(entries => {
+	entries.forEach(entry => {
+		observedElements.add(entry.target);
+		if (entry.isIntersecting) {
+			visibleElements.add(entry.target);
+		} else {
+			visibleElements.delete(entry.target);
+		}
+	});
+});
+
 let renderTaskPromise,
 	renderTaskPromiseResolve,
 	taskResult;
 
 let mutationObserverTimer;
 
+/**
+ * The intersection observer reports asynchronously, so the web components it has not reported yet
+ * (f.e. all components on initial load) are measured instead
+ * @param webComponent
+ */
+const isInViewport = webComponent => {
+	if (observedElements.has(webComponent)) {
+		return visibleElements.has(webComponent);
+	}
+
+	if (webComponent.getClientRects().length === 0) {
+		return false; // not displayed
+	}
+
+	const rect = webComponent.getBoundingClientRect();
+	return rect.bottom >= 0 && rect.right >= 0 && rect.top <= window.innerHeight && rect.left <= window.innerWidth;
+};
+
 /**
  * Class that manages the rendering/re-rendering of web components
  * This is always asynchronous
@@ -36,12 +75,18 @@ class RenderScheduler {
 		return res;
 	}
 
+	/**
+	 * Renders a web component right away, f.e. when it is attached to the DOM.
+	 * Unlike the re-rendering, this is neither deferred to an animation frame (not fired in background tabs) nor subject to the render budget.
+	 * @param webComponent
+	 */
 	static renderImmediately(webComponent) {
 		// Enqueue the web component
 		const res = invalidatedWebComponents.add(webComponent);
 
-		// Immediately start a render task
-		RenderScheduler.runRenderTask();
+		invalidatedWebComponents.remove(webComponent);
+		webComponent._render();
+		res._deferredResolve();
 		return res;
 	}
 
@@ -56,32 +101,49 @@ class RenderScheduler {
 		}
 	}
 
-	static runRenderTask() {
-		if (!renderTaskId) {
-			renderTaskId = 1; // prevent another rendering task from being scheduled, all web components should use this task
-			RenderScheduler.renderWebComponents();
-		}
-	}
-
+	/**
+	 * Renders the invalidated web components, those in the viewport first.
+	 * When the render budget for the current frame is exceeded, the rest are rendered in the next animation frame(s).
+	 */
 	static renderWebComponents() {
-		// console.log("------------- NEW RENDER TASK ---------------");
-
 		let webComponentInfo,
 			webComponent,
 			promise;
+		const startTime = performance.now();
+		const renderBudget = getRenderBudget();
+
+		// The re-renders are counted per frame, as a long task may legitimately re-render a web component in many frames
 		const renderStats = new Map();
-		while (webComponentInfo = invalidatedWebComponents.shift()) { // eslint-disable-line
-			webComponent = webComponentInfo.webComponent;
-			promise = webComponentInfo.promise;
-
-			const timesRerendered = renderStats.get(webComponent) || 0;
-			if (timesRerendered > MAX_RERENDER_COUNT) {
-				// console.warn("WARNING RERENDER", webComponent);
-				throw new Error(`Web component re-rendered too many times this task, max allowed is: ${MAX_RERENDER_COUNT}`);
+
+		// All web components are measured before any of them is rendered, so that the layout is calculated only once
+		invalidatedWebComponents.prioritize(isInViewport);
+
+		try {
+			while (webComponentInfo = invalidatedWebComponents.shift()) { // eslint-disable-line
+				webComponent = webComponentInfo.webComponent;
+				promise = webComponentInfo.promise;
+
+				const timesRerendered = renderStats.get(webComponent) || 0;
+				if (timesRerendered > MAX_RERENDER_COUNT) {
+					throw new Error(`Web component re-rendered too many times this frame, max allowed is: ${MAX_RERENDER_COUNT}`);
+				}
+				webComponent._render();
+				promise._deferredResolve();
+				renderStats.set(webComponent, timesRerendered + 1);
+
+				if (performance.now() - startTime > renderBudget) {
+					break;
+				}
 			}
-			webComponent._render();
-			promise._deferredResolve();
-			renderStats.set(webComponent, timesRerendered + 1);
+		} finally {
+			// allow new tasks to be scheduled, even if rendering failed
+			renderTaskId = undefined;
+		}
+
+		// Yield to the browser and continue in the next frame
+		if (invalidatedWebComponents.getList().length > 0) {
+			RenderScheduler.scheduleRenderTask();
+			return;
 		}
 
 		// wait for Mutation observer just in case
@@ -93,8 +155,6 @@ class RenderScheduler {
 				}
 			}, 200);
 		}
-
-		renderTaskId = undefined;
 	}
 
 	/**
@@ -118,6 +178,43 @@ class RenderScheduler {
 		return renderTaskPromise;
 	}
 
+	/**
+	 * Keeps track of a web component while it is attached to the DOM
+	 * @param webComponent
+	 */
+	static register(webComponent) {
+		registeredElements.add(webComponent);
+
+		if (intersectionObserver) {
+			intersectionObserver.observe(webComponent);
+		}
+	}
+
+	static deregister(webComponent) {
+		registeredElements.delete(webComponent);
+
+		if (intersectionObserver) {
+			intersectionObserver.unobserve(webComponent);
+			visibleElements.delete(webComponent);
+			observedElements.delete(webComponent);
+		}
+	}
+
+	/**
+	 * Invalidates all web components currently in the DOM, f.e. after a global configuration change
+	 * @param filter optional function - when passed, only the web components for which it returns true are invalidated
+	 * @returns {Promise} resolved once all of them are re-rendered
+	 */
+	static reRenderAllUI5Elements(filter) {
+		registeredElements.forEach(webComponent => {
+			if (!filter || filter(webComponent)) {
+				webComponent._invalidate();
+			}
+		});
+
+		return RenderScheduler.whenDOMUpdated();
+	}
+
 	static getNotDefinedComponents() {
 		return Array.from(document.querySelectorAll("*")).filter(el => el.localName.startsWith("ui5-") && !el.isUI5Element);
 	}
@@ -1,13 +1,21 @@
+import { getScopedTag } from "./CustomElementsScope.js";
+
 const getStaticAreaInstance = () => {
-	let staticArea = document.querySelector("ui5-static-area");
+	const tag = getScopedTag("ui5-static-area");
+	let staticArea = document.querySelector(tag);
 
 	if (staticArea) {
 		return staticArea;
 	}
 
+	// Defined on first use, as the scoping suffix may be set after this module is loaded
+	if (!customElements.get(tag)) {
+		customElements.define(tag, StaticAreaElement);
+	}
+
 	// Create static area if it is not present
 	const bodyElement = document.body;
-	staticArea = document.createElement("ui5-static-area");
+	staticArea = document.createElement(tag);
 
 	return bodyElement.insertBefore(staticArea, bodyElement.firstChild);
 };
@@ -31,10 +39,6 @@ class StaticAreaElement extends HTMLElement {
 	}
 }
 
-if (!customElements.get("ui5-static-area")) {
-	customElements.define("ui5-static-area", StaticAreaElement);
-}
-
 export {
 	getStaticAreaInstance,
 	removeStaticArea,
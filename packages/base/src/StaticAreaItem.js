@@ -1,4 +1,15 @@
 import { getStaticAreaInstance, removeStaticArea } from "./StaticArea.js";
+import { getEffectiveStaticAreaStyle } from "./Theming.js";
+import { getScopedTag } from "./CustomElementsScope.js";
+import { attachContentDensityChange } from "./ContentDensity.js";
+
+// The static area items, currently in the static area
+const staticAreaItems = new Set();
+
+// The static area items are not in the DOM tree of their components, so they don't inherit the content density and need to be updated explicitly
+attachContentDensityChange(() => {
+	staticAreaItems.forEach(staticAreaItem => staticAreaItem._updateContentDensity(staticAreaItem.ui5ElementContext.isCompact));
+});
 
 /**
  * @class
@@ -16,16 +27,23 @@ class StaticAreaItem {
 	 */
 	_updateFragment() {
 		const renderResult = this.ui5ElementContext.constructor.staticAreaTemplate(this.ui5ElementContext),
-			stylesToAdd = this.ui5ElementContext.constructor.staticAreaStyles || false;
+			stylesToAdd = getEffectiveStaticAreaStyle(this.ui5ElementContext.constructor);
 
 		if (!this.staticAreaItemDomRef) {
 			// Initial rendering of fragment
 
-			this.staticAreaItemDomRef = document.createElement("ui5-static-area-item");
+			const tag = getScopedTag("ui5-static-area-item");
+			if (!customElements.get(tag)) {
+				customElements.define(tag, StaticAreaItemElement);
+			}
+
+			this.staticAreaItemDomRef = document.createElement(tag);
 			this.staticAreaItemDomRef.attachShadow({ mode: "open" });
 			this.staticAreaItemDomRef.classList.add(this.ui5ElementContext._id); // used for getting the popover in the tests
 
 			getStaticAreaInstance().appendChild(this.staticAreaItemDomRef);
+			staticAreaItems.add(this);
+			this._updateContentDensity(this.ui5ElementContext.isCompact);
 		}
 
 		this.ui5ElementContext.constructor.render(renderResult, this.staticAreaItemDomRef.shadowRoot, stylesToAdd, { eventContext: this.ui5ElementContext });
@@ -38,6 +56,7 @@ class StaticAreaItem {
 		const staticArea = getStaticAreaInstance();
 
 		staticArea.removeChild(this.staticAreaItemDomRef);
+		staticAreaItems.delete(this);
 
 		this.staticAreaItemDomRef = null;
 
@@ -83,8 +102,4 @@ class StaticAreaItemElement extends HTMLElement {
 	}
 }
 
-if (!customElements.get("ui5-static-area-item")) {
-	customElements.define("ui5-static-area-item", StaticAreaItemElement);
-}
-
 export default StaticAreaItem;
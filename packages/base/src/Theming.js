@@ -1,6 +1,14 @@
-import { addCustomCSS, getCustomCSS } from "./theming/CustomStyle.js";
+import {
+	addCustomCSS,
+	removeCustomCSS,
+	addCustomStaticAreaCSS,
+	removeCustomStaticAreaCSS,
+	getCustomCSS,
+	getCustomStaticAreaCSS,
+} from "./theming/CustomStyle.js";
 import { getThemeProperties, getRegisteredPackages } from "./asset-registries/Themes.js";
 import { injectThemeProperties } from "./theming/StyleInjection.js";
+import { scopeCSSTags } from "./CustomElementsScope.js";
 
 const themeChangeCallbacks = [];
 let externalThemePresent = false;
@@ -32,14 +40,29 @@ const _executeThemeChangeCallbacks = theme => {
 };
 
 const getEffectiveStyle = ElementClass => {
-	const tag = ElementClass.getMetadata().getTag();
+	const tag = ElementClass.getMetadata().getPureTag();
 	const customStyle = getCustomCSS(tag) || "";
 	let componentStyles = ElementClass.styles;
 
 	if (Array.isArray(componentStyles)) {
 		componentStyles = componentStyles.join(" ");
 	}
-	return `${componentStyles} ${customStyle}`;
+	return scopeCSSTags(`${componentStyles} ${customStyle}`);
+};
+
+const getEffectiveStaticAreaStyle = ElementClass => {
+	const tag = ElementClass.getMetadata().getPureTag();
+	const customStyle = getCustomStaticAreaCSS(tag);
+	let staticAreaStyles = ElementClass.staticAreaStyles || "";
+
+	if (!staticAreaStyles && !customStyle) {
+		return false;
+	}
+
+	if (Array.isArray(staticAreaStyles)) {
+		staticAreaStyles = staticAreaStyles.join(" ");
+	}
+	return scopeCSSTags(`${staticAreaStyles} ${customStyle}`);
 };
 
 const setExternalThemePresent = value => {
@@ -50,6 +73,10 @@ export {
 	attachThemeChange,
 	_applyTheme,
 	getEffectiveStyle,
+	getEffectiveStaticAreaStyle,
 	addCustomCSS,
+	removeCustomCSS,
+	addCustomStaticAreaCSS,
+	removeCustomStaticAreaCSS,
 	setExternalThemePresent,
 };
@@ -4,12 +4,13 @@ import { skipOriginalEvent } from "./config/NoConflict.js";
 import DOMObserver from "./compatibility/DOMObserver.js";
 import UI5ElementMetadata from "./UI5ElementMetadata.js";
 import StaticAreaItem from "./StaticAreaItem.js";
-import Integer from "./types/Integer.js";
 import RenderScheduler from "./RenderScheduler.js";
+import { getFeature } from "./FeaturesRegistry.js";
 import { getConstructableStyle, createHeadStyle } from "./CSS.js";
 import { getEffectiveStyle } from "./Theming.js";
 import { kebabToCamelCase, camelToKebabCase } from "./util/StringHelper.js";
 import isValidPropertyName from "./util/isValidPropertyName.js";
+import getEffectiveDir from "./util/getEffectiveDir.js";
 
 const metadata = {
 	events: {
@@ -48,6 +49,12 @@ class UI5Element extends HTMLElement {
 		this._domRefReadyPromise._deferredResolve = deferredResolve;
 
 		this._monitoredChildProps = new Map();
+
+		// The slotted children and the property (slot), each of them is distributed to
+		this._slottedChildren = new Map();
+
+		// Delegates (f.e. ItemNavigation), attached while the component is in the DOM
+		this._delegates = [];
 	}
 
 	/**
@@ -63,7 +70,7 @@ class UI5Element extends HTMLElement {
 	_initializeContainers() {
 		// Init Shadow Root
 		if (this.constructor._needsShadowDOM()) {
-			this.attachShadow({ mode: "open" });
+			this._attachShadowRoot();
 
 			// IE11, Edge
 			if (window.ShadyDOM) {
@@ -81,6 +88,33 @@ class UI5Element extends HTMLElement {
 		if (this.constructor._needsStaticArea()) {
 			this.staticAreaItem = new StaticAreaItem(this);
 		}
+
+		// Init ElementInternals only for form-associated elements
+		if (this.constructor.formAssociated) {
+			this._internals = this.attachInternals();
+		}
+	}
+
+	/**
+	 * Adopts the declarative shadow root of the element (f.e. rendered on the server with "renderToString"), if any, or creates a new one.
+	 * The first rendering hydrates the server-rendered content - the existing nodes are kept and updated.
+	 * @private
+	 */
+	_attachShadowRoot() {
+		// The browser already created a shadow root from a <template shadowroot="open">
+		if (this.shadowRoot) {
+			this._hydrateShadowRoot = this.shadowRoot.hasChildNodes();
+			return;
+		}
+
+		// The browser does not support declarative shadow DOM - the template is still in the light DOM
+		const template = Array.from(this.children).find(child => child.localName === "template" && child.getAttribute("shadowroot") === "open");
+		this.attachShadow({ mode: "open" });
+		if (template) {
+			this.shadowRoot.appendChild(template.content);
+			this.removeChild(template);
+			this._hydrateShadowRoot = this.shadowRoot.hasChildNodes();
+		}
 	}
 
 	/**
@@ -88,14 +122,22 @@ class UI5Element extends HTMLElement {
 	 * @private
 	 */
 	async connectedCallback() {
+		const inspector = getFeature("ComponentInspector");
+		if (inspector) {
+			inspector.onEnterDOM(this);
+		}
+
 		// Render the Shadow DOM
 		if (this.constructor._needsShadowDOM()) {
+			RenderScheduler.register(this);
+
 			// always register the observer before yielding control to the main thread (await)
 			this._startObservingDOMChildren();
 
 			await this._processChildren();
 			await RenderScheduler.renderImmediately(this);
 			this._domRefReadyPromise._deferredResolve();
+			this._attachDelegates();
 			if (typeof this.onEnterDOM === "function") {
 				this.onEnterDOM();
 			}
@@ -112,8 +154,15 @@ class UI5Element extends HTMLElement {
 	 * @private
 	 */
 	disconnectedCallback() {
+		const inspector = getFeature("ComponentInspector");
+		if (inspector) {
+			inspector.onExitDOM(this);
+		}
+
 		if (this.constructor._needsShadowDOM()) {
+			RenderScheduler.deregister(this);
 			this._stopObservingDOMChildren();
+			this._detachDelegates();
 			if (typeof this.onExitDOM === "function") {
 				this.onExitDOM();
 			}
@@ -124,6 +173,84 @@ class UI5Element extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Registers a delegate (f.e. ItemNavigation, ResizeHandler.observe) with the component.
+	 * A delegate implements <code>attach</code> and <code>detach</code> - it is attached when the component enters the DOM
+	 * (right before <code>onEnterDOM</code>) and detached when the component leaves the DOM (right before <code>onExitDOM</code>),
+	 * so that no listeners are left behind.
+	 * @param delegate
+	 * @protected
+	 */
+	addDelegate(delegate) {
+		if (this._delegates.includes(delegate)) {
+			return;
+		}
+
+		this._delegates.push(delegate);
+		if (this._delegatesAttached) {
+			delegate.attach();
+		}
+	}
+
+	/**
+	 * Detaches a delegate and stops managing it
+	 * @param delegate
+	 * @protected
+	 */
+	removeDelegate(delegate) {
+		const index = this._delegates.indexOf(delegate);
+		if (index === -1) {
+			return;
+		}
+
+		this._delegates.splice(index, 1);
+		if (this._delegatesAttached) {
+			delegate.detach();
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_attachDelegates() {
+		this._delegatesAttached = true;
+		this._delegates.forEach(delegate => delegate.attach());
+	}
+
+	/**
+	 * @private
+	 */
+	_detachDelegates() {
+		if (!this._delegatesAttached) {
+			return;
+		}
+
+		this._delegatesAttached = false;
+		this._delegates.forEach(delegate => delegate.detach());
+	}
+
+	/**
+	 * Called by the browser for form-associated elements, when the form they belong to is reset
+	 * @private
+	 */
+	formResetCallback() {
+		const FormSupport = getFeature("FormSupport");
+		if (FormSupport && FormSupport.resetFormState) {
+			FormSupport.resetFormState(this);
+		}
+	}
+
+	/**
+	 * Called by the browser for form-associated elements, when their state is restored (navigation or autofill)
+	 * @private
+	 */
+	formStateRestoreCallback(state) {
+		const FormSupport = getFeature("FormSupport");
+		if (FormSupport && FormSupport.restoreFormState) {
+			FormSupport.restoreFormState(this, state);
+		}
+	}
+
 	/**
 	 * @private
 	 */
@@ -149,13 +276,21 @@ class UI5Element extends HTMLElement {
 
 	/**
 	 * Note: this method is also manually called by "compatibility/patchNodeValue.js"
+	 * @param mutations the mutation records, if called by the MutationObserver - only the changed children are processed then
 	 * @private
 	 */
-	async _processChildren() {
+	_processChildren(mutations) {
 		const hasSlots = this.constructor.getMetadata().hasSlots();
-		if (hasSlots) {
-			await this._updateSlots();
+		if (!hasSlots) {
+			return Promise.resolve();
 		}
+
+		// Slot updates are asynchronous (they wait for the children to be defined) - process them one after another
+		const update = Array.isArray(mutations) ? () => this._updateSlotsFromMutations(mutations) : () => this._updateSlots();
+		const previousUpdate = this._slotsUpdatePromise || Promise.resolve();
+		this._slotsUpdatePromise = previousUpdate.catch(() => {}).then(update);
+
+		return this._slotsUpdatePromise;
 	}
 
 	/**
@@ -193,27 +328,7 @@ class UI5Element extends HTMLElement {
 				child._individualSlot = `${slotName}-${nextId}`;
 			}
 
-			// Await for not-yet-defined custom elements
-			if (child instanceof HTMLElement) {
-				const localName = child.localName;
-				const isCustomElement = localName.includes("-");
-				if (isCustomElement) {
-					const isDefined = window.customElements.get(localName);
-					if (!isDefined) {
-						const whenDefinedPromise = window.customElements.whenDefined(localName); // Class registered, but instances not upgraded yet
-						let timeoutPromise = elementTimeouts.get(localName);
-						if (!timeoutPromise) {
-							timeoutPromise = new Promise(resolve => setTimeout(resolve, 1000));
-							elementTimeouts.set(localName, timeoutPromise);
-						}
-						await Promise.race([whenDefinedPromise, timeoutPromise]);
-					}
-					window.customElements.upgrade(child);
-				}
-			}
-
-			child = this.constructor.getMetadata().constructor.validateSlotValue(child, slotData);
-
+			child = await this._upgradeSlottedChild(child, slotData);
 			if (child.isUI5Element) {
 				this._attachChildPropertyUpdated(child, slotData);
 			}
@@ -233,10 +348,166 @@ class UI5Element extends HTMLElement {
 		// not the order elements are defined.
 		slottedChildrenMap.forEach((children, slot) => {
 			this._state[slot] = children.sort((a, b) => a.idx - b.idx).map(_ => _.child);
+			this._state[slot].forEach(child => this._slottedChildren.set(child, slot));
 		});
 		this._invalidate();
 	}
 
+	/**
+	 * Updates only the slots of the children that were added or removed, instead of redistributing all children
+	 * @private
+	 */
+	async _updateSlotsFromMutations(mutations) {
+		const slotsMap = this.constructor.getMetadata().getSlots();
+		const canSlotText = slotsMap.default && slotsMap.default.type === Node;
+		const addedChildren = [];
+		const changedSlots = new Set();
+		let hasDeepChanges = false;
+
+		mutations.forEach(mutation => {
+			// Changes deeper in the light DOM (f.e. a text change in a child) only require re-rendering
+			if (mutation.type !== "childList" || mutation.target !== this) {
+				hasDeepChanges = true;
+				return;
+			}
+
+			mutation.removedNodes.forEach(child => {
+				if (this._slottedChildren.has(child)) {
+					changedSlots.add(this._slottedChildren.get(child));
+					this._removeSlottedChild(child);
+				}
+			});
+
+			mutation.addedNodes.forEach(child => {
+				if ((canSlotText || child instanceof HTMLElement) && !addedChildren.includes(child)) {
+					addedChildren.push(child);
+				}
+			});
+		});
+
+		await Promise.all(addedChildren.map(async child => {
+			const slotName = this.constructor._getSlotName(child);
+			const slotData = slotsMap[slotName];
+
+			if (slotData === undefined) {
+				const validValues = Object.keys(slotsMap).join(", ");
+				console.warn(`Unknown slotName: ${slotName}, ignoring`, child, `Valid values are: ${validValues}`); // eslint-disable-line
+				return;
+			}
+
+			child = await this._upgradeSlottedChild(child, slotData);
+
+			// The child was removed (or moved) again, while waiting for it to be defined
+			if (child.parentNode !== this || this._slottedChildren.has(child)) {
+				return;
+			}
+
+			const propertyName = slotData.propertyName || slotName;
+			if (child.isUI5Element) {
+				this._attachChildPropertyUpdated(child, slotData);
+			}
+			this._insertSlottedChild(child, propertyName);
+			changedSlots.add(propertyName);
+		}));
+
+		changedSlots.forEach(propertyName => {
+			this._invalidate(propertyName, this._state[propertyName]);
+		});
+
+		if (hasDeepChanges) {
+			this._invalidate();
+		}
+	}
+
+	/**
+	 * Waits for a not-yet-defined custom element to be defined and validates it against the slot
+	 * @private
+	 */
+	async _upgradeSlottedChild(child, slotData) {
+		// Await for not-yet-defined custom elements
+		if (child instanceof HTMLElement) {
+			const localName = child.localName;
+			const isCustomElement = localName.includes("-");
+			if (isCustomElement) {
+				const isDefined = window.customElements.get(localName);
+				if (!isDefined) {
+					const whenDefinedPromise = window.customElements.whenDefined(localName); // Class registered, but instances not upgraded yet
+					let timeoutPromise = elementTimeouts.get(localName);
+					if (!timeoutPromise) {
+						timeoutPromise = new Promise(resolve => setTimeout(resolve, 1000));
+						elementTimeouts.set(localName, timeoutPromise);
+					}
+					await Promise.race([whenDefinedPromise, timeoutPromise]);
+				}
+				window.customElements.upgrade(child);
+			}
+		}
+
+		return this.constructor.getMetadata().constructor.validateSlotValue(child, slotData);
+	}
+
+	/**
+	 * Adds a child to its slot, before the next slotted sibling in the light DOM
+	 * @private
+	 */
+	_insertSlottedChild(child, propertyName) {
+		const children = this._state[propertyName];
+
+		let nextSibling = child.nextSibling;
+		while (nextSibling && this._slottedChildren.get(nextSibling) !== propertyName) {
+			nextSibling = nextSibling.nextSibling;
+		}
+
+		if (nextSibling) {
+			children.splice(children.indexOf(nextSibling), 0, child);
+		} else {
+			children.push(child);
+		}
+
+		this._slottedChildren.set(child, propertyName);
+		this._updateIndividualSlots(this.constructor._getSlotName(child), propertyName);
+	}
+
+	/**
+	 * Removes a child from its slot and detaches listeners, if any
+	 * @private
+	 */
+	_removeSlottedChild(child) {
+		const propertyName = this._slottedChildren.get(child);
+		if (propertyName === undefined) {
+			return;
+		}
+
+		const children = this._state[propertyName];
+		children.splice(children.indexOf(child), 1);
+		this._slottedChildren.delete(child);
+
+		if (child.isUI5Element) {
+			this._detachChildPropertyUpdated(child);
+		}
+
+		this._updateIndividualSlots(this.constructor._getSlotName(child), propertyName);
+	}
+
+	/**
+	 * Recalculates the individual slots of the children of a slot, after a child was added or removed
+	 * @private
+	 */
+	_updateIndividualSlots(slotName, propertyName) {
+		const slotData = this.constructor.getMetadata().getSlots()[slotName];
+		if (!slotData.individualSlots) {
+			return;
+		}
+
+		let nextId = 0;
+		this._state[propertyName].forEach(child => {
+			if (this.constructor._getSlotName(child) === slotName) {
+				nextId++;
+				child._individualSlot = `${slotName}-${nextId}`;
+			}
+		});
+	}
+
 	/**
 	 * Removes all children from the slot and detaches listeners, if any
 	 * @private
@@ -254,6 +525,7 @@ class UI5Element extends HTMLElement {
 			if (child && child.isUI5Element) {
 				this._detachChildPropertyUpdated(child);
 			}
+			this._slottedChildren.delete(child);
 		});
 
 		this._state[propertyName] = [];
@@ -269,14 +541,8 @@ class UI5Element extends HTMLElement {
 		const realName = name.replace(/^ui5-/, "");
 		const nameInCamelCase = kebabToCamelCase(realName);
 		if (properties.hasOwnProperty(nameInCamelCase)) { // eslint-disable-line
-			const propertyTypeClass = properties[nameInCamelCase].type;
-			if (propertyTypeClass === Boolean) {
-				newValue = newValue !== null;
-			}
-			if (propertyTypeClass === Integer) {
-				newValue = parseInt(newValue);
-			}
-			this[nameInCamelCase] = newValue;
+			const propData = properties[nameInCamelCase];
+			this[nameInCamelCase] = this.constructor.getMetadata().constructor.convertAttributeValue(newValue, propData, nameInCamelCase);
 		}
 	}
 
@@ -411,15 +677,22 @@ class UI5Element extends HTMLElement {
 	 * Asynchronously re-renders an already rendered web component
 	 * @private
 	 */
-	_invalidate() {
+	_invalidate(name, value) {
+		const inspector = getFeature("ComponentInspector");
+
 		if (this._invalidated) {
-			// console.log("already invalidated", this, ...arguments);
+			// already invalidated - the reason is still tracked
+			if (inspector) {
+				inspector.onInvalidate(this, name, value);
+			}
 			return;
 		}
 
 		if (this.getDomRef() && !this._suppressInvalidation) {
 			this._invalidated = true;
-			// console.log("INVAL", this, ...arguments);
+			if (inspector) {
+				inspector.onInvalidate(this, name, value);
+			}
 			RenderScheduler.renderDeferred(this);
 		}
 	}
@@ -429,6 +702,11 @@ class UI5Element extends HTMLElement {
 	 * @protected
 	 */
 	_render() {
+		const inspector = getFeature("ComponentInspector");
+		if (inspector) {
+			inspector.onBeforeRender(this);
+		}
+
 		// suppress invalidation to prevent state changes scheduling another rendering
 		this._suppressInvalidation = true;
 
@@ -445,7 +723,6 @@ class UI5Element extends HTMLElement {
 		delete this._suppressInvalidation;
 
 		// Update the shadow root with the render result
-		// console.log(this.getDomRef() ? "RE-RENDER" : "FIRST RENDER", this);
 		delete this._invalidated;
 		this._updateShadowRoot();
 
@@ -460,6 +737,10 @@ class UI5Element extends HTMLElement {
 		if (typeof this.onAfterRendering === "function") {
 			this.onAfterRendering();
 		}
+
+		if (inspector) {
+			inspector.onAfterRender(this);
+		}
 	}
 
 	/**
@@ -472,7 +753,8 @@ class UI5Element extends HTMLElement {
 		if (!document.adoptedStyleSheets && !window.ShadyDOM) {
 			styleToPrepend = getEffectiveStyle(this.constructor);
 		}
-		this.constructor.render(renderResult, this.shadowRoot, styleToPrepend, { eventContext: this });
+		this.constructor.render(renderResult, this.shadowRoot, styleToPrepend, { eventContext: this, hydrate: this._hydrateShadowRoot });
+		delete this._hydrateShadowRoot;
 	}
 
 	/**
@@ -591,6 +873,15 @@ class UI5Element extends HTMLElement {
 		return this[slotName].reduce(reducer, []);
 	}
 
+	/**
+	 * Returns the text direction of the component ("rtl" or "ltr"), taking into account
+	 * the "dir" attribute of its closest ancestor that has one, or the global RTL configuration otherwise
+	 * @public
+	 */
+	get effectiveDir() {
+		return getEffectiveDir(this);
+	}
+
 	get isCompact() {
 		return getComputedStyle(this).getPropertyValue(GLOBAL_CONTENT_DENSITY_CSS_VAR) === "compact";
 	}
@@ -601,6 +892,48 @@ class UI5Element extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Returns the form the component is associated with (form-associated components only)
+	 * @public
+	 */
+	get form() {
+		return this._internals ? this._internals.form : null;
+	}
+
+	/**
+	 * Returns the validity state of the component (form-associated components only)
+	 * @public
+	 */
+	get validity() {
+		return this._internals ? this._internals.validity : undefined;
+	}
+
+	/**
+	 * Returns the message that describes why the component is invalid, if so (form-associated components only)
+	 * @public
+	 */
+	get validationMessage() {
+		return this._internals ? this._internals.validationMessage : "";
+	}
+
+	/**
+	 * Returns false and fires an "invalid" event, if the component does not satisfy its constraints (form-associated components only)
+	 * @public
+	 * @returns {boolean}
+	 */
+	checkValidity() {
+		return this._internals ? this._internals.checkValidity() : true;
+	}
+
+	/**
+	 * Same as <code>checkValidity</code>, but also reports the problem to the user (form-associated components only)
+	 * @public
+	 * @returns {boolean}
+	 */
+	reportValidity() {
+		return this._internals ? this._internals.reportValidity() : true;
+	}
+
 	/**
 	 * Used to duck-type UI5 elements without using instanceof
 	 * @returns {boolean}
@@ -618,6 +951,22 @@ class UI5Element extends HTMLElement {
 		return this.getMetadata().getAttributesList();
 	}
 
+	/**
+	 * Tells the browser whether the element is a form-associated custom element.
+	 * This is the case when the class declares <code>formAssociated: true</code> in its metadata
+	 * and a form support feature, based on ElementInternals, is loaded.
+	 * The value is determined once, when the tag is defined.
+	 * @private
+	 */
+	static get formAssociated() {
+		if (!this.hasOwnProperty("_formAssociated")) { // eslint-disable-line
+			const FormSupport = getFeature("FormSupport");
+			this._formAssociated = this.getMetadata().isFormAssociated() && !!(FormSupport && FormSupport.usesElementInternals);
+		}
+
+		return this._formAssociated;
+	}
+
 	/**
 	 * Used to generate the next auto-increment id for the current class
 	 * @returns {string}
@@ -697,6 +1046,8 @@ class UI5Element extends HTMLElement {
 				}
 			} else if (props[propName].multiple) {
 				defaultState[propName] = [];
+			} else if (propType === Array) {
+				defaultState[propName] = "defaultValue" in props[propName] ? props[propName].defaultValue : [];
 			} else if (propType === Object) {
 				defaultState[propName] = "defaultValue" in props[propName] ? props[propName].defaultValue : {};
 			} else if (propType === String) {
@@ -748,12 +1099,14 @@ class UI5Element extends HTMLElement {
 						return propDefaultValue;
 					} else if (propData.multiple) { // eslint-disable-line
 						return [];
+					} else if (propData.type === Array) { // eslint-disable-line
+						return propDefaultValue || [];
 					} else {
 						return propDefaultValue;
 					}
 				},
 				set(value) {
-					value = this.constructor.getMetadata().constructor.validatePropertyValue(value, propData);
+					value = this.constructor.getMetadata().constructor.validatePropertyValue(value, propData, prop);
 
 					const oldState = this._state[prop];
 
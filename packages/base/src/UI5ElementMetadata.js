@@ -1,6 +1,10 @@
 import DataType from "./types/DataType.js";
+import Integer from "./types/Integer.js";
+import Float from "./types/Float.js";
+import { getFeature } from "./FeaturesRegistry.js";
 import isDescendantOf from "./util/isDescendantOf.js";
 import { camelToKebabCase } from "./util/StringHelper.js";
+import { getScopedTag } from "./CustomElementsScope.js";
 
 /**
  *
@@ -16,12 +20,50 @@ class UI5ElementMetadata {
 	 * Only intended for use by UI5Element.js
 	 * @protected
 	 */
-	static validatePropertyValue(value, propData) {
+	static validatePropertyValue(value, propData, propName) {
 		const isMultiple = propData.multiple;
 		if (isMultiple) {
-			return value.map(propValue => validateSingleProperty(propValue, propData));
+			return value.map(propValue => validateSingleProperty(propValue, propData, propName));
 		}
-		return validateSingleProperty(value, propData);
+		return validateSingleProperty(value, propData, propName);
+	}
+
+	/**
+	 * Converts the value of an attribute to the value of its property counterpart.
+	 * Properties of type Array, multiple properties and properties of type Object with <code>jsonAttribute</code>
+	 * are set with JSON, f.e. selected-dates="[1585699200, 1585785600]"
+	 * Only intended for use by UI5Element.js
+	 * @protected
+	 */
+	static convertAttributeValue(value, propData, propName) {
+		const propertyType = propData.type;
+
+		if (propData.multiple) {
+			return value === null ? [] : parseJSONAttribute(value, propData, propName);
+		}
+		if (propertyType === Boolean) {
+			return value !== null;
+		}
+		if (propertyType === String) {
+			return value;
+		}
+
+		// The attribute was removed - the property gets its default value
+		if (value === null) {
+			return getRemovedAttributeValue(propData);
+		}
+
+		if (propertyType === Object || propertyType === Array) {
+			return parseJSONAttribute(value, propData, propName);
+		}
+		if (propertyType === Integer) {
+			return parseInt(value);
+		}
+		if (propertyType === Float) {
+			return parseFloat(value);
+		}
+
+		return value;
 	}
 
 	/**
@@ -33,13 +75,21 @@ class UI5ElementMetadata {
 	}
 
 	/**
-	 * Returns the tag of the UI5 Element
+	 * Returns the tag of the UI5 Element, as declared in its metadata (without the scoping suffix)
 	 * @public
 	 */
-	getTag() {
+	getPureTag() {
 		return this.metadata.tag;
 	}
 
+	/**
+	 * Returns the tag of the UI5 Element, under which it is defined (with the scoping suffix, if set)
+	 * @public
+	 */
+	getTag() {
+		return getScopedTag(this.metadata.tag);
+	}
+
 	/**
 	 * Determines whether a property should have an attribute counterpart
 	 * @public
@@ -48,7 +98,13 @@ class UI5ElementMetadata {
 	 */
 	hasAttribute(propName) {
 		const propData = this.getProperties()[propName];
-		return propData.type !== Object && !propData.noAttribute;
+
+		// Properties of type Object (f.e. private state) have an attribute only if it is explicitly requested
+		if (propData.type === Object && !propData.jsonAttribute) {
+			return false;
+		}
+
+		return !propData.noAttribute;
 	}
 
 	/**
@@ -93,6 +149,14 @@ class UI5ElementMetadata {
 		return this.metadata.properties || {};
 	}
 
+	/**
+	 * Determines whether the UI5 Element can be associated with a form (form-associated custom element)
+	 * @public
+	 */
+	isFormAssociated() {
+		return !!this.metadata.formAssociated;
+	}
+
 	/**
 	 * Returns an object with key-value pairs of events and their metadata definitions
 	 * @public
@@ -102,7 +166,7 @@ class UI5ElementMetadata {
 	}
 }
 
-const validateSingleProperty = (value, propData) => {
+const validateSingleProperty = (value, propData, propName) => {
 	const propertyType = propData.type;
 
 	if (propertyType === Boolean) {
@@ -112,10 +176,52 @@ const validateSingleProperty = (value, propData) => {
 		return (typeof value === "string" || typeof value === "undefined" || value === null) ? value : value.toString();
 	}
 	if (propertyType === Object) {
-		return typeof value === "object" ? value : propData.defaultValue;
+		return typeof value === "object" ? value : replaceInvalidValue(value, propData, propName);
+	}
+	if (propertyType === Array) {
+		return Array.isArray(value) ? value : replaceInvalidValue(value, propData, propName);
 	}
 	if (isDescendantOf(propertyType, DataType)) {
-		return propertyType.isValid(value) ? value : propData.defaultValue;
+		return propertyType.isValid(value) ? value : replaceInvalidValue(value, propData, propName);
+	}
+};
+
+const replaceInvalidValue = (value, propData, propName) => {
+	const DevMode = getFeature("DevMode");
+
+	// Setting "undefined" is the way to reset a property to its default value
+	if (DevMode && value !== undefined) {
+		DevMode.warn(`Invalid value ${JSON.stringify(value)} for property "${propName}" of type ${propData.type.name}, the default value ${JSON.stringify(propData.defaultValue)} is used instead.`);
+	}
+
+	return propData.defaultValue;
+};
+
+/**
+ * The value of a property, after its attribute is removed - the same as the initial value of the property
+ */
+const getRemovedAttributeValue = propData => {
+	if (propData.multiple) {
+		return [];
+	}
+	if (propData.type === Object || propData.type === Array) {
+		if ("defaultValue" in propData) {
+			return propData.defaultValue;
+		}
+		return propData.type === Object ? {} : [];
+	}
+};
+
+const parseJSONAttribute = (value, propData, propName) => {
+	try {
+		return JSON.parse(value);
+	} catch (err) {
+		const DevMode = getFeature("DevMode");
+		if (DevMode) {
+			DevMode.warn(`The value of the attribute for property "${propName}" is not valid JSON: ${value}`);
+		}
+
+		return getRemovedAttributeValue(propData);
 	}
 };
 
@@ -1,6 +1,8 @@
 import { registerModuleContent } from "../ResourceLoaderOverrides.js";
 import { fetchJsonOnce } from "../util/FetchHelper.js";
 import { getFeature } from "../FeaturesRegistry.js";
+import { getLocale } from "../LocaleProvider.js";
+import { attachLanguageChange } from "../LanguageChange.js";
 
 const OpenUI5Support = getFeature("OpenUI5Support");
 
@@ -9,6 +11,9 @@ const supportedLocales = ["ar", "ar_EG", "ar_SA", "bg", "ca", "cs", "da", "de",
 const cldrData = {};
 const cldrUrls = {};
 
+// Set once any component requests CLDR data, so that it is only re-fetched on language change if actually used
+let cldrRequested = false;
+
 // externally configurable mapping function for resolving (localeId -> URL)
 // default implementation - ui5 CDN
 let cldrMappingFn = locale => `https://ui5.sap.com/1.60.2/resources/sap/ui/core/cldr/${locale}.json`;
@@ -63,6 +68,7 @@ const resolveMissingMappings = () => {
 };
 
 const fetchCldr = async (language, region, script) => {
+	cldrRequested = true;
 	resolveMissingMappings();
 	const localeId = calcLocale(language, region, script);
 
@@ -99,6 +105,16 @@ const _registerMappingFunction = mappingFn => {
 	cldrMappingFn = mappingFn;
 };
 
+// When the language changes dynamically (the user calls setLanguage), fetch the CLDR data for the new locale
+attachLanguageChange(() => {
+	if (!cldrRequested) {
+		return;
+	}
+
+	const locale = getLocale();
+	return fetchCldr(locale.getLanguage(), locale.getRegion(), locale.getScript());
+});
+
 export {
 	fetchCldr,
 	registerCldr,
@@ -4,6 +4,7 @@ const themeURLs = new Map();
 const themeStyles = new Map();
 const registeredPackages = new Set();
 const registeredThemes = new Set();
+const derivedThemes = new Map();
 
 /**
  * Used to provide CSS Vars for a specific theme for a specific package.
@@ -38,12 +39,70 @@ const registerThemeProperties = (packageName, themeName, style) => {
 	registeredThemes.add(themeName);
 };
 
+/**
+ * Registers a theme, derived from another registered theme - it has all CSS Vars of the base theme,
+ * except for the overridden ones. This way there is no need to provide the complete set of CSS Vars for each package.
+ * The derived theme can be applied with <code>setTheme</code>, as any other theme, for all registered packages.
+ *
+ * Note: if CSS Vars are also registered with <code>registerThemeProperties</code> for the derived theme and a given package, they take precedence
+ * for this package.
+ *
+ * Example usage:
+ *  1) Pass the overridden CSS Vars as an object
+ *  registerDerivedTheme("acme_fiori", "sap_fiori_3", {"--sapBrandColor": "#6a1b9a", "--sapHighlightColor": "#4a148c"});
+ *  2) Pass the overridden CSS Vars as a string
+ *  registerDerivedTheme("acme_fiori", "sap_fiori_3", ":root{--sapBrandColor: #6a1b9a;}");
+ *
+ * @public
+ * @param themeName - the name of the derived theme
+ * @param baseThemeName - the name of the theme to be extended, can be a derived theme as well
+ * @param overrides - the overridden CSS Vars: an object (CSS Var name - value pairs) or a string
+ */
+const registerDerivedTheme = (themeName, baseThemeName, overrides = {}) => {
+	if (getBaseThemes(baseThemeName).includes(themeName)) {
+		throw new Error(`Theme "${themeName}" can not be derived from "${baseThemeName}", as this would create a circular dependency`);
+	}
+
+	derivedThemes.set(themeName, {
+		baseThemeName,
+		cssText: typeof overrides === "string" ? overrides : overridesToCSS(overrides),
+	});
+	registeredThemes.add(themeName);
+};
+
+const overridesToCSS = overrides => {
+	const declarations = Object.keys(overrides).map(name => `${name}: ${overrides[name]};`);
+	return `:root{${declarations.join("")}}`;
+};
+
+/**
+ * Returns the given theme, followed by the theme it is derived from, the theme that one is derived from, etc.
+ * @param themeName
+ * @returns {Array}
+ */
+const getBaseThemes = themeName => {
+	const themes = [themeName];
+
+	while (derivedThemes.has(themeName)) {
+		themeName = derivedThemes.get(themeName).baseThemeName;
+		themes.push(themeName);
+	}
+
+	return themes;
+};
+
 const getThemeProperties = async (packageName, themeName) => {
 	const style = themeStyles.get(`${packageName}_${themeName}`);
 	if (style) {
 		return style;
 	}
 
+	if (derivedThemes.has(themeName) && !themeURLs.has(`${packageName}_${themeName}`)) {
+		const { baseThemeName, cssText } = derivedThemes.get(themeName);
+		const baseStyle = await getThemeProperties(packageName, baseThemeName);
+		return `${baseStyle || ""} ${cssText}`;
+	}
+
 	if (!registeredThemes.has(themeName)) {
 		const regThemesStr = [...registeredThemes.values()].join(", ");
 		console.warn(`You have requested a non-registered theme - falling back to sap_fiori_3. Registered themes are: ${regThemesStr}`); /* eslint-disable-line */
@@ -70,6 +129,8 @@ const getRegisteredPackages = () => {
 
 export {
 	registerThemeProperties,
+	registerDerivedTheme,
+	getBaseThemes,
 	getThemeProperties,
 	getRegisteredPackages,
 };
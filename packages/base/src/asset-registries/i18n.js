@@ -2,10 +2,13 @@ import "../shims/jquery-shim.js";
 import "../shims/Core-shim.js";
 import { getLanguage } from "../LocaleProvider.js";
 import { fetchJsonOnce } from "../util/FetchHelper.js";
+import parseProperties from "../util/parseProperties.js";
 import { normalizeLocale, nextFallbackLocale } from "../util/normalizeLocale.js";
+import { attachLanguageChange } from "../LanguageChange.js";
 
 const bundleData = new Map();
 const bundleURLs = new Map();
+const propertiesPromises = new Map();
 
 /**
  * Sets a map with texts and ID the are related to.
@@ -23,14 +26,50 @@ const getI18nBundleData = packageName => {
 
 /**
  * Registers a map of locale/url information, to be used by the <code>fetchI18nBundle</code> method.
+ * The URLs may point to JSON files (as produced by the build) or to .properties files.
+ *
+ * Alternatively, the URL of the .properties file without locale can be registered, f.e. "path/messagebundle.properties".
+ * Then the .properties file for the current locale is fetched, f.e. "path/messagebundle_de_CH.properties",
+ * and if it does not exist - the ones for the fallback locales ("path/messagebundle_de.properties", "path/messagebundle_en.properties", "path/messagebundle.properties").
  * @param {string} packageName package ID that the i18n bundle will be related to
- * @param {Object} bundle an object with string locales as keys and the URLs of where the corresponding locale can be fetched from, f.e {"en": "path/en.json", ...}
+ * @param {Object|string} bundle an object with string locales as keys and the URLs of where the corresponding locale can be fetched from, f.e {"en": "path/en.json", ...},
+ * or the URL of the .properties file without locale
  * @public
  */
 const registerI18nBundle = (packageName, bundle) => {
 	bundleURLs.set(packageName, bundle);
 };
 
+const isPropertiesURL = url => /\.properties(?:[?#]|$)/.test(url);
+
+/**
+ * Fetches and parses a .properties file once. Resolves with undefined, if the file does not exist.
+ */
+const fetchPropertiesOnce = url => {
+	if (!propertiesPromises.has(url)) {
+		propertiesPromises.set(url, fetch(url).then(response => (response.ok ? response.text().then(parseProperties) : undefined)));
+	}
+
+	return propertiesPromises.get(url);
+};
+
+/**
+ * Fetches the .properties file for the locale, falling back to the files for the fallback locales, if it does not exist,
+ * f.e. "messagebundle_de_CH.properties", "messagebundle_de.properties", "messagebundle_en.properties", "messagebundle.properties"
+ */
+const fetchPropertiesWithFallback = async (url, localeId) => {
+	while (localeId !== null) {
+		const localeURL = localeId ? url.replace(/\.properties(?=[?#]|$)/, `_${localeId}.properties`) : url;
+		// sequentially, as the files for the fallback locales are only needed if the previous ones do not exist
+		const data = await fetchPropertiesOnce(localeURL); // eslint-disable-line
+		if (data) {
+			return data;
+		}
+
+		localeId = nextFallbackLocale(localeId);
+	}
+};
+
 /**
  * This method preforms the asynchronous task of fetching the actual text resources. It will fetch
  * each text resource over the network once (even for multiple calls to the same method).
@@ -52,21 +91,38 @@ const fetchI18nBundle = async packageName => {
 	const language = getLanguage();
 
 	let localeId = normalizeLocale(language);
-	while (!bundlesForPackage[localeId]) {
+
+	if (typeof bundlesForPackage === "string") {
+		const data = await fetchPropertiesWithFallback(bundlesForPackage, localeId);
+		setI18nBundleData(packageName, data);
+		return;
+	}
+
+	while (localeId !== null && !bundlesForPackage[localeId]) {
 		localeId = nextFallbackLocale(localeId);
 	}
 
 	const bundleURL = bundlesForPackage[localeId];
 
+	if (!bundleURL) {
+		return; // No bundle for the locale and its fallback locales - the English texts are used
+	}
+
 	if (typeof bundleURL === "object") { // inlined from build
 		setI18nBundleData(packageName, bundleURL);
 		return bundleURL;
 	}
 
-	const data = await fetchJsonOnce(bundleURL);
+	const data = isPropertiesURL(bundleURL) ? await fetchPropertiesOnce(bundleURL) : await fetchJsonOnce(bundleURL);
 	setI18nBundleData(packageName, data);
 };
 
+// When the language changes dynamically (the user calls setLanguage), re-fetch all previously fetched bundles
+attachLanguageChange(() => {
+	const allPackages = [...bundleData.keys()].filter(packageName => bundleURLs.has(packageName));
+	return Promise.all(allPackages.map(fetchI18nBundle));
+});
+
 export {
 	fetchI18nBundle,
 	registerI18nBundle,
@@ -2,6 +2,8 @@ import whenDOMReady from "./util/whenDOMReady.js";
 import insertFontFace from "./FontFace.js";
 import { getTheme } from "./config/Theme.js";
 import { _applyTheme } from "./Theming.js";
+import { getEffectiveContentDensity } from "./config/ContentDensity.js";
+import { _applyContentDensity } from "./ContentDensity.js";
 import whenPolyfillLoaded from "./compatibility/whenPolyfillLoaded.js";
 import { getFeature } from "./FeaturesRegistry.js";
 
@@ -20,6 +22,7 @@ const boot = () => {
 
 		await whenDOMReady();
 		await _applyTheme(getTheme());
+		_applyContentDensity(getEffectiveContentDensity());
 		OpenUI5Support && OpenUI5Support.attachListeners();
 		insertFontFace();
 		await whenPolyfillLoaded();
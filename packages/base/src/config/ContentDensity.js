@@ -0,0 +1,66 @@
+import { getContentDensity as getConfiguredContentDensity } from "../InitialConfiguration.js";
+import { _applyContentDensity } from "../ContentDensity.js";
+import { supportTouch } from "../Device.js";
+import ContentDensity from "../types/ContentDensity.js";
+import RenderScheduler from "../RenderScheduler.js";
+
+let contentDensity;
+
+const CONTENT_DENSITIES = Object.keys(ContentDensity).map(key => ContentDensity[key]);
+
+const isValidContentDensity = value => CONTENT_DENSITIES.includes(value);
+
+/**
+ * Returns the configured content density: "cozy", "compact" or "auto"
+ * @returns {string}
+ */
+const getContentDensity = () => {
+	if (contentDensity === undefined) {
+		const configuredContentDensity = getConfiguredContentDensity();
+		contentDensity = isValidContentDensity(configuredContentDensity) ? configuredContentDensity : ContentDensity.Cozy;
+	}
+
+	return contentDensity;
+};
+
+/**
+ * Returns the content density in effect: "cozy" or "compact".
+ * When the content density is "auto", touch devices get "cozy" and all other devices - "compact".
+ * @returns {string}
+ */
+const getEffectiveContentDensity = () => {
+	const configuredContentDensity = getContentDensity();
+
+	if (configuredContentDensity === ContentDensity.Auto) {
+		return supportTouch() ? ContentDensity.Cozy : ContentDensity.Compact;
+	}
+
+	return configuredContentDensity;
+};
+
+/**
+ * Changes the content density of the page and re-renders all UI5 Web Components, including their static area items (f.e. popovers).
+ *
+ * @param {string} newContentDensity "cozy", "compact" or "auto"
+ * @returns {Promise} resolved when all components are re-rendered
+ */
+const setContentDensity = async newContentDensity => {
+	if (!isValidContentDensity(newContentDensity)) {
+		throw new Error(`Invalid content density: ${newContentDensity}. Allowed values are: ${CONTENT_DENSITIES.join(", ")}`);
+	}
+
+	if (contentDensity === newContentDensity) {
+		return;
+	}
+
+	contentDensity = newContentDensity;
+
+	_applyContentDensity(getEffectiveContentDensity());
+	await RenderScheduler.reRenderAllUI5Elements();
+};
+
+export {
+	getContentDensity,
+	getEffectiveContentDensity,
+	setContentDensity,
+};
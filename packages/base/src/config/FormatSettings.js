@@ -1,13 +1,99 @@
 import { getFormatSettings } from "../InitialConfiguration.js";
+import { _fireFormatSettingsChange } from "../FormatSettingsChange.js";
+import RenderScheduler from "../RenderScheduler.js";
+import CalendarWeekNumbering from "../types/CalendarWeekNumbering.js";
 
 let formatSettings;
 
-const getFirstDayOfWeek = () => {
+const CALENDAR_WEEK_NUMBERINGS = Object.keys(CalendarWeekNumbering).map(key => CalendarWeekNumbering[key]);
+
+const getSettings = () => {
 	if (formatSettings === undefined) {
-		formatSettings = getFormatSettings();
+		formatSettings = Object.assign({}, getFormatSettings());
+	}
+
+	return formatSettings;
+};
+
+/**
+ * Returns the first day of the week (0 - Sunday, 1 - Monday, etc.), if set - otherwise the one of the locale is used
+ * @returns {number}
+ */
+const getFirstDayOfWeek = () => {
+	return getSettings().firstDayOfWeek;
+};
+
+/**
+ * Returns the week numbering: "Default", "ISO_8601" or "WesternTraditional"
+ * @returns {string}
+ */
+const getCalendarWeekNumbering = () => {
+	const calendarWeekNumbering = getSettings().calendarWeekNumbering;
+	return CALENDAR_WEEK_NUMBERINGS.includes(calendarWeekNumbering) ? calendarWeekNumbering : CalendarWeekNumbering.Default;
+};
+
+/**
+ * Returns the date pattern for the given style, if set - otherwise the one of the locale is used
+ * @param {string} style "short", "medium", "long" or "full"
+ * @returns {string}
+ */
+const getDatePattern = style => {
+	return (getSettings().datePatterns || {})[style];
+};
+
+/**
+ * Returns the time pattern for the given style, if set - otherwise the one of the locale is used
+ * @param {string} style "short", "medium", "long" or "full"
+ * @returns {string}
+ */
+const getTimePattern = style => {
+	return (getSettings().timePatterns || {})[style];
+};
+
+/**
+ * Returns the decimal separator, if set - otherwise the one of the locale is used
+ * @returns {string}
+ */
+const getDecimalSeparator = () => {
+	return getSettings().decimalSeparator;
+};
+
+/**
+ * Returns the grouping separator, if set - otherwise the one of the locale is used
+ * @returns {string}
+ */
+const getGroupingSeparator = () => {
+	return getSettings().groupingSeparator;
+};
+
+/**
+ * Changes the format settings and re-renders all UI5 Web Components on the page.
+ * Only the passed settings are changed, f.e. <code>setFormatSettings({ firstDayOfWeek: 1 })</code>,
+ * and a setting is reset to the one of the locale, when set to <code>null</code>.
+ *
+ * @param {Object} newFormatSettings the format settings: <code>firstDayOfWeek</code>, <code>calendarWeekNumbering</code>,
+ * <code>datePatterns</code>, <code>timePatterns</code>, <code>decimalSeparator</code> and <code>groupingSeparator</code>
+ * @returns {Promise} resolved when all components are re-rendered with the new format settings
+ */
+const setFormatSettings = async newFormatSettings => {
+	const calendarWeekNumbering = newFormatSettings.calendarWeekNumbering;
+
+	if (calendarWeekNumbering && !CALENDAR_WEEK_NUMBERINGS.includes(calendarWeekNumbering)) {
+		throw new Error(`Invalid calendar week numbering: ${calendarWeekNumbering}. Allowed values are: ${CALENDAR_WEEK_NUMBERINGS.join(", ")}`);
 	}
 
-	return formatSettings.firstDayOfWeek;
+	Object.assign(getSettings(), newFormatSettings);
+
+	_fireFormatSettingsChange(getSettings());
+	await RenderScheduler.reRenderAllUI5Elements();
 };
 
-export { getFirstDayOfWeek }; // eslint-disable-line
+export {
+	getFirstDayOfWeek,
+	getCalendarWeekNumbering,
+	getDatePattern,
+	getTimePattern,
+	getDecimalSeparator,
+	getGroupingSeparator,
+	setFormatSettings,
+};
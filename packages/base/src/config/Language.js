@@ -1,4 +1,6 @@
 import { getLanguage as getConfiguredLanguage } from "../InitialConfiguration.js";
+import { _fireLanguageChange } from "../LanguageChange.js";
+import RenderScheduler from "../RenderScheduler.js";
 
 let language;
 
@@ -9,4 +11,25 @@ const getLanguage = () => {
 	return language;
 };
 
-export { getLanguage }; // eslint-disable-line
+/**
+ * Changes the current language, re-fetches all language-dependent assets (texts, CLDR data)
+ * and re-renders all UI5 Web Components on the page
+ *
+ * @param {string} newLanguage the language to switch to, f.e. "de" or "en_US"
+ * @returns {Promise} resolved when all components are re-rendered with the new language
+ */
+const setLanguage = async newLanguage => {
+	if (language === newLanguage) {
+		return;
+	}
+
+	language = newLanguage;
+
+	await _fireLanguageChange(newLanguage);
+	await RenderScheduler.reRenderAllUI5Elements();
+};
+
+export {
+	getLanguage,
+	setLanguage,
+};
@@ -0,0 +1,51 @@
+import { getPseudoLocalization as getConfiguredPseudoLocalization } from "../InitialConfiguration.js";
+import RenderScheduler from "../RenderScheduler.js";
+import pseudoLocalize from "../util/pseudoLocalize.js";
+
+let pseudoLocalization;
+
+/**
+ * Returns if the texts of the UI5 Web Components are pseudo-localized (accented, expanded and bracketed),
+ * in order to reveal layout issues with longer or non-English texts.
+ * @returns {boolean}
+ */
+const getPseudoLocalization = () => {
+	if (pseudoLocalization === undefined) {
+		pseudoLocalization = getConfiguredPseudoLocalization() === true;
+	}
+
+	return pseudoLocalization;
+};
+
+/**
+ * Turns the pseudo-localization of the texts on or off and re-renders all UI5 Web Components on the page
+ *
+ * @param {boolean} newPseudoLocalization
+ * @returns {Promise} resolved when all components are re-rendered
+ */
+const setPseudoLocalization = async newPseudoLocalization => {
+	if (getPseudoLocalization() === newPseudoLocalization) {
+		return;
+	}
+
+	pseudoLocalization = newPseudoLocalization;
+
+	await RenderScheduler.reRenderAllUI5Elements();
+};
+
+/**
+ * Returns the text pseudo-localized, if the pseudo-localization is turned on.
+ * Used by the components for the texts, set by the app (f.e. the text of a button), as they are not loaded with the i18n bundles.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const getPseudoLocalizedText = text => {
+	return getPseudoLocalization() ? pseudoLocalize(text) : text;
+};
+
+export {
+	getPseudoLocalization,
+	setPseudoLocalization,
+	getPseudoLocalizedText,
+};
@@ -2,6 +2,7 @@ import { getRTL as getConfiguredRTL } from "../InitialConfiguration.js";
 import { getLanguage } from "./Language.js";
 import getDesigntimePropertyAsArray from "../util/getDesigntimePropertyAsArray.js";
 import detectNavigatorLanguage from "../util/detectNavigatorLanguage.js";
+import RenderScheduler from "../RenderScheduler.js";
 
 const M_ISO639_OLD_TO_NEW = {
 	"iw": "he",
@@ -12,20 +13,59 @@ const M_ISO639_OLD_TO_NEW = {
 
 const A_RTL_LOCALES = getDesigntimePropertyAsArray("$cldr-rtl-locales:ar,fa,he$") || [];
 
+let rtl;
+
 const impliesRTL = language => {
 	language = (language && M_ISO639_OLD_TO_NEW[language]) || language;
 
 	return A_RTL_LOCALES.indexOf(language) >= 0;
 };
 
-const getRTL = () => {
-	const configurationRTL = getConfiguredRTL();
+const getConfiguredValue = () => {
+	if (rtl === undefined) {
+		rtl = getConfiguredRTL();
+	}
 
-	if (configurationRTL !== null) {
-		return !!configurationRTL;
+	return rtl;
+};
+
+const getRTL = () => {
+	if (getConfiguredValue() !== null) {
+		return !!rtl;
 	}
 
 	return impliesRTL(getLanguage() || detectNavigatorLanguage());
 };
 
-export { getRTL }; // eslint-disable-line
+/**
+ * Returns if the text direction is set explicitly - with the "rtl" setting or <code>setRTL</code>,
+ * rather than derived from the language.
+ * @returns {boolean}
+ */
+const isRTLExplicit = () => {
+	return getConfiguredValue() !== null;
+};
+
+/**
+ * Changes the global text direction and re-renders all UI5 Web Components on the page.
+ * The global text direction takes precedence over the "dir" attribute of the <code>html</code> and <code>body</code> elements,
+ * but components inside another element with a "dir" attribute keep the direction of that element.
+ *
+ * @param {boolean|null} newRTL true or false to force the direction, or null to derive it from the language
+ * @returns {Promise} resolved when all components are re-rendered
+ */
+const setRTL = async newRTL => {
+	if (rtl === newRTL) {
+		return;
+	}
+
+	rtl = newRTL;
+
+	await RenderScheduler.reRenderAllUI5Elements();
+};
+
+export {
+	getRTL,
+	setRTL,
+	isRTLExplicit,
+};
@@ -0,0 +1,36 @@
+import { getRenderBudget as getConfiguredRenderBudget } from "../InitialConfiguration.js";
+
+const DEFAULT_RENDER_BUDGET = 10;
+
+let renderBudget;
+
+/**
+ * Returns the time (in milliseconds) the rendering may take per animation frame, before yielding to the browser
+ * @returns {number}
+ */
+const getRenderBudget = () => {
+	if (renderBudget === undefined) {
+		const configuredRenderBudget = parseFloat(getConfiguredRenderBudget());
+		renderBudget = configuredRenderBudget > 0 ? configuredRenderBudget : DEFAULT_RENDER_BUDGET;
+	}
+
+	return renderBudget;
+};
+
+/**
+ * Sets the time (in milliseconds) the rendering may take per animation frame.
+ * Use <code>Infinity</code> to render all invalidated components in a single frame.
+ * @param {number} newRenderBudget
+ */
+const setRenderBudget = newRenderBudget => {
+	if (typeof newRenderBudget !== "number" || !(newRenderBudget > 0)) {
+		throw new Error(`Invalid render budget: ${newRenderBudget}. A positive number of milliseconds is expected.`);
+	}
+
+	renderBudget = newRenderBudget;
+};
+
+export {
+	getRenderBudget,
+	setRenderBudget,
+};
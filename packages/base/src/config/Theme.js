@@ -1,16 +1,63 @@
-import { getTheme as getConfiguredTheme } from "../InitialConfiguration.js";
+import { getTheme as getConfiguredTheme, getAutoThemeMapping as getConfiguredAutoThemeMapping } from "../InitialConfiguration.js";
 import { _applyTheme } from "../Theming.js";
+import { getBaseThemes } from "../asset-registries/Themes.js";
+import { getColorScheme, attachColorSchemeChange } from "../theming/ColorScheme.js";
+
+// When set as theme, the theme is chosen based on the color scheme, preferred by the user (light, dark or contrast)
+const AUTO_THEME = "auto";
 
 let theme;
+let autoThemeMapping;
 
-const getTheme = () => {
+/**
+ * Returns the themes, used for the "light", "dark" and "contrast" color schemes, when the theme is set to "auto".
+ * @returns {Object}
+ */
+const getAutoThemeMapping = () => {
+	if (autoThemeMapping === undefined) {
+		autoThemeMapping = Object.assign({}, getConfiguredAutoThemeMapping());
+	}
+
+	return autoThemeMapping;
+};
+
+/**
+ * Returns if the theme is set to "auto", i.e. follows the color scheme, preferred by the user.
+ * @returns {boolean}
+ */
+const isAutoTheme = () => {
 	if (theme === undefined) {
 		theme = getConfiguredTheme();
 	}
 
+	return theme === AUTO_THEME;
+};
+
+const onColorSchemeChange = async () => {
+	if (isAutoTheme()) {
+		await _applyTheme(getTheme());
+	}
+};
+
+/**
+ * Returns the theme in effect. When the theme is set to "auto", returns the theme for the color scheme, preferred by the user.
+ * @returns {string}
+ */
+const getTheme = () => {
+	if (isAutoTheme()) {
+		attachColorSchemeChange(onColorSchemeChange);
+		return getAutoThemeMapping()[getColorScheme()];
+	}
+
 	return theme;
 };
 
+/**
+ * Changes the theme of all UI5 Web Components.
+ * When set to "auto", the theme follows the color scheme, preferred by the user (see <code>setAutoThemeMapping</code>)
+ * and changes along with it.
+ * @param {string} newTheme
+ */
 const setTheme = async newTheme => {
 	if (theme === newTheme) {
 		return;
@@ -19,10 +66,36 @@ const setTheme = async newTheme => {
 	theme = newTheme;
 
 	// Update CSS Custom Properties
-	await _applyTheme(theme);
+	await _applyTheme(getTheme());
+};
+
+/**
+ * Changes the themes, used for the "light", "dark" and "contrast" color schemes, when the theme is set to "auto".
+ * Only the passed color schemes are changed, f.e. <code>setAutoThemeMapping({ dark: "my_dark_theme" })</code>.
+ * @param {Object} newAutoThemeMapping
+ */
+const setAutoThemeMapping = async newAutoThemeMapping => {
+	Object.assign(getAutoThemeMapping(), newAutoThemeMapping);
+
+	if (isAutoTheme()) {
+		await _applyTheme(getTheme());
+	}
+};
+
+/**
+ * Returns if the current theme is the given one, or a theme derived from it (see <code>registerDerivedTheme</code>).
+ * @param {string} themeName
+ * @returns {boolean}
+ */
+const isTheme = themeName => {
+	return getBaseThemes(getTheme()).includes(themeName);
 };
 
 export {
 	getTheme,
 	setTheme,
+	isAutoTheme,
+	getAutoThemeMapping,
+	setAutoThemeMapping,
+	isTheme,
 };
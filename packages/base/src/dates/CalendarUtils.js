@@ -1,18 +1,23 @@
 import UniversalDate from "@ui5/webcomponents-utils/dist/sap/ui/core/date/UniversalDate.js";
 import Locale from "@ui5/webcomponents-utils/dist/sap/ui/core/Locale.js";
 import LocaleData from "@ui5/webcomponents-utils/dist/sap/ui/core/LocaleData.js";
-import { getFirstDayOfWeek } from "../config/FormatSettings.js";
+import { getFirstDayOfWeek, getCalendarWeekNumbering } from "../config/FormatSettings.js";
+import CalendarWeekNumbering from "../types/CalendarWeekNumbering.js";
 
 const calculateWeekNumber = (oDate, iYear, oLocale, oLocaleData) => {
 	let iWeekNum = 0;
 	let iWeekDay = 0;
 	const confFirstDayOfWeek = getFirstDayOfWeek();
 	const iFirstDayOfWeek = Number.isInteger(confFirstDayOfWeek) ? confFirstDayOfWeek : oLocaleData.getFirstDayOfWeek();
+	const calendarWeekNumbering = getCalendarWeekNumbering();
 
 	// search Locale for containing "en-US", since sometimes
 	// when any user settings have been defined, subtag "sapufmt" is added to the locale name
 	// this is described inside sap.ui.core.Configuration file
-	if (oLocale && (oLocale.getLanguage() === "en" && oLocale.getRegion() === "US")) {
+	const bUSWeekNumbering = calendarWeekNumbering === CalendarWeekNumbering.WesternTraditional
+		|| (calendarWeekNumbering === CalendarWeekNumbering.Default && oLocale && (oLocale.getLanguage() === "en" && oLocale.getRegion() === "US"));
+
+	if (bUSWeekNumbering) {
 		/*
 			* in US the week starts with Sunday
 			* The first week of the year starts with January 1st. But Dec. 31 is still in the last year
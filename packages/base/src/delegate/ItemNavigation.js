@@ -29,10 +29,34 @@ class ItemNavigation extends EventProvider {
 		this.verticalNavigationOn = autoNavigation || navigationMode === NavigationMode.Vertical;
 
 		this.rootWebComponent = rootWebComponent;
-		this.rootWebComponent.addEventListener("keydown", this.onkeydown.bind(this));
-		this.rootWebComponent._onComponentStateFinalized = () => {
+		this._onkeydown = this.onkeydown.bind(this);
+		this._onComponentStateFinalized = () => {
 			this._init();
 		};
+		this.rootWebComponent._onComponentStateFinalized = this._onComponentStateFinalized;
+
+		// The keyboard handling is attached/detached when the component enters/leaves the DOM
+		this.rootWebComponent.addDelegate(this);
+	}
+
+	attach() {
+		this.rootWebComponent.addEventListener("keydown", this._onkeydown);
+	}
+
+	detach() {
+		this.rootWebComponent.removeEventListener("keydown", this._onkeydown);
+	}
+
+	/**
+	 * Detaches the item navigation from the component for good
+	 */
+	destroy() {
+		this.rootWebComponent.removeDelegate(this);
+		this.detach();
+
+		if (this.rootWebComponent._onComponentStateFinalized === this._onComponentStateFinalized) {
+			delete this.rootWebComponent._onComponentStateFinalized;
+		}
 	}
 
 	_init() {
@@ -59,6 +59,51 @@ class ResizeHandler {
 
 		ResizeHandler.detachListener(ref, callback);
 	}
+
+	/**
+	 * Registers the callback for as long as the component is in the DOM: it is registered when the component enters the DOM
+	 * and deregistered when the component leaves it, so there is no need to deregister it manually.
+	 *
+	 * @static
+	 * @public
+	 * @param {UI5Element} component The component, whose lifecycle is followed
+	 * @param {*} callback Callback to be executed
+	 * @param {*} ref Reference to be observed, or a function returning it (called when the component enters the DOM). Defaults to the component
+	 * @returns {Object} the delegate - call its <code>destroy</code> method to stop observing before the component leaves the DOM
+	 * @memberof ResizeHandler
+	 */
+	static observe(component, callback, ref = component) {
+		let observedRef;
+
+		const delegate = {
+			attach() {
+				if (observedRef) {
+					return;
+				}
+
+				observedRef = typeof ref === "function" ? ref() : ref;
+				if (observedRef instanceof UI5Element) {
+					observedRef = observedRef.getDomRef();
+				}
+				ResizeHandler.attachListener(observedRef, callback);
+			},
+			detach() {
+				if (!observedRef) {
+					return;
+				}
+
+				ResizeHandler.detachListener(observedRef, callback);
+				observedRef = undefined;
+			},
+			destroy() {
+				component.removeDelegate(delegate);
+				delegate.detach();
+			},
+		};
+
+		component.addDelegate(delegate);
+		return delegate;
+	}
 }
 
 ResizeHandler.initialize();
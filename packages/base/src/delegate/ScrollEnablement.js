@@ -7,9 +7,34 @@ const touchEndEventName = "touchend";
 class ScrollEnablement extends EventProvider {
 	constructor(containerComponent) {
 		super();
-		containerComponent.addEventListener("touchstart", this.ontouchstart.bind(this), { passive: true });
-		containerComponent.addEventListener("touchmove", this.ontouchmove.bind(this), { passive: true });
-		containerComponent.addEventListener("touchend", this.ontouchend.bind(this), { passive: true });
+		this.containerComponent = containerComponent;
+		this._ontouchstart = this.ontouchstart.bind(this);
+		this._ontouchmove = this.ontouchmove.bind(this);
+		this._ontouchend = this.ontouchend.bind(this);
+
+		// The touch handling is attached/detached when the component enters/leaves the DOM
+		containerComponent.addDelegate(this);
+	}
+
+	attach() {
+		this.containerComponent.addEventListener("touchstart", this._ontouchstart, { passive: true });
+		this.containerComponent.addEventListener("touchmove", this._ontouchmove, { passive: true });
+		this.containerComponent.addEventListener("touchend", this._ontouchend, { passive: true });
+	}
+
+	detach() {
+		this.containerComponent.removeEventListener("touchstart", this._ontouchstart, { passive: true });
+		this.containerComponent.removeEventListener("touchmove", this._ontouchmove, { passive: true });
+		this.containerComponent.removeEventListener("touchend", this._ontouchend, { passive: true });
+	}
+
+	/**
+	 * Detaches the scroll enablement from the component for good
+	 */
+	destroy() {
+		this.containerComponent.removeDelegate(this);
+		this.detach();
+		this._container = null;
 	}
 
 	set scrollContainer(container) {
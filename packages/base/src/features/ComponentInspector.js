@@ -0,0 +1,187 @@
+import { registerFeature } from "../FeaturesRegistry.js";
+
+// How many invalidations and renderings are kept per component
+const MAX_HISTORY_LENGTH = 20;
+
+// Live UI5 Web Components (currently in the DOM)
+const instances = new Set();
+
+// Statistics per component - kept after the component is removed from the DOM, until reset
+const stats = new WeakMap();
+
+const getStats = element => {
+	if (!stats.has(element)) {
+		stats.set(element, {
+			tag: element.localName,
+			id: element._id,
+			renderCount: 0,
+			totalRenderDuration: 0,
+			lastRenderDuration: 0,
+			pendingInvalidations: [],
+			invalidations: [],
+			renders: [],
+		});
+	}
+
+	return stats.get(element);
+};
+
+const pushToHistory = (history, entry) => {
+	history.push(entry);
+	if (history.length > MAX_HISTORY_LENGTH) {
+		history.shift();
+	}
+};
+
+/**
+ * Describes why a component was invalidated, based on the arguments of UI5Element's "_invalidate"
+ */
+const getInvalidationReason = (element, name, value) => {
+	if (name === undefined) {
+		return { type: "children" }; // light DOM changed or forced re-rendering
+	}
+
+	if (name === "_parent_") {
+		return { type: "child", child: value }; // a property of a slotted child changed
+	}
+
+	const slots = element.constructor.getMetadata().getSlots();
+	const isSlot = Object.keys(slots).some(slotName => (slots[slotName].propertyName || slotName) === name);
+
+	return { type: isSlot ? "slot" : "property", name, value };
+};
+
+const getMarkName = (element, phase) => `${element.localName}#${element._id} render ${phase}`;
+
+const getMeasureName = element => `${element.localName}#${element._id} render`;
+
+const onEnterDOM = element => {
+	instances.add(element);
+};
+
+const onExitDOM = element => {
+	instances.delete(element);
+	performance.clearMeasures(getMeasureName(element));
+};
+
+const onInvalidate = (element, name, value) => {
+	const elementStats = getStats(element);
+	const reason = getInvalidationReason(element, name, value);
+	reason.time = performance.now();
+
+	elementStats.pendingInvalidations.push(reason);
+	pushToHistory(elementStats.invalidations, reason);
+};
+
+const onBeforeRender = element => {
+	const elementStats = getStats(element);
+	elementStats.renderStart = performance.now();
+	performance.mark(getMarkName(element, "start"));
+};
+
+const onAfterRender = element => {
+	const elementStats = getStats(element);
+	const duration = performance.now() - elementStats.renderStart;
+	const startMark = getMarkName(element, "start");
+	const endMark = getMarkName(element, "end");
+
+	// Only the last rendering of each component is kept in the performance timeline buffer, so that it does not grow with every rendering.
+	// The performance tools of the browser record all measures anyway, while recording.
+	performance.mark(endMark);
+	performance.clearMeasures(getMeasureName(element));
+	performance.measure(getMeasureName(element), startMark, endMark);
+	performance.clearMarks(startMark);
+	performance.clearMarks(endMark);
+
+	elementStats.renderCount++;
+	elementStats.lastRenderDuration = duration;
+	elementStats.totalRenderDuration += duration;
+	pushToHistory(elementStats.renders, {
+		duration,
+		reasons: elementStats.pendingInvalidations,
+	});
+	elementStats.pendingInvalidations = [];
+};
+
+const toPublicStats = element => {
+	const elementStats = getStats(element);
+
+	return {
+		element,
+		tag: elementStats.tag,
+		id: elementStats.id,
+		renderCount: elementStats.renderCount,
+		totalRenderDuration: elementStats.totalRenderDuration,
+		lastRenderDuration: elementStats.lastRenderDuration,
+		invalidations: elementStats.invalidations.slice(),
+		renders: elementStats.renders.slice(),
+	};
+};
+
+/**
+ * Developer API, available as window["sap-ui-webcomponents-inspector"]
+ */
+const ComponentInspector = {
+	/**
+	 * Returns all UI5 Web Components, currently in the DOM
+	 * @returns {Array}
+	 */
+	getInstances() {
+		return Array.from(instances);
+	},
+
+	/**
+	 * Returns the render count, render durations (ms), and the last invalidations and renderings (with the invalidations that caused them) of a component
+	 * @param element
+	 * @returns {Object}
+	 */
+	getStats(element) {
+		return toPublicStats(element);
+	},
+
+	/**
+	 * Returns the statistics of all components in the DOM, the ones with the longest total render duration first
+	 * @returns {Array}
+	 */
+	getAllStats() {
+		return this.getInstances().map(toPublicStats).sort((a, b) => b.totalRenderDuration - a.totalRenderDuration);
+	},
+
+	/**
+	 * Prints a summary table of the components in the DOM to the console
+	 */
+	printStats() {
+		console.table(this.getAllStats().map(({ tag, id, renderCount, totalRenderDuration, lastRenderDuration }) => { // eslint-disable-line
+			return {
+				tag,
+				id,
+				renderCount,
+				totalRenderDuration,
+				lastRenderDuration,
+			};
+		}));
+	},
+
+	/**
+	 * Clears the collected statistics and performance entries
+	 */
+	reset() {
+		instances.forEach(element => stats.delete(element));
+		performance.getEntriesByType("measure")
+			.filter(entry => entry.name.endsWith(" render"))
+			.forEach(entry => performance.clearMeasures(entry.name));
+	},
+
+	// Hooks, called by UI5Element
+	onEnterDOM,
+	onExitDOM,
+	onInvalidate,
+	onBeforeRender,
+	onAfterRender,
+};
+
+window["sap-ui-webcomponents-inspector"] = ComponentInspector;
+
+registerFeature("ComponentInspector", ComponentInspector);
+
+export default ComponentInspector;
@@ -0,0 +1,18 @@
+import { registerFeature } from "../FeaturesRegistry.js";
+
+/**
+ * Development mode - import this module while developing an application to get warnings about common mistakes,
+ * f.e. when an invalid property value is silently replaced by the default value.
+ * Not intended for productive use.
+ */
+const warn = (message, ...details) => {
+	console.warn(`[UI5 Web Components] ${message}`, ...details); // eslint-disable-line
+};
+
+const DevMode = {
+	warn,
+};
+
+registerFeature("DevMode", DevMode);
+
+export default DevMode;
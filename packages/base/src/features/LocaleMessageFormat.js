@@ -0,0 +1,34 @@
+import LocaleData from "@ui5/webcomponents-utils/dist/sap/ui/core/LocaleData.js";
+import { registerFeature } from "../FeaturesRegistry.js";
+import { getLocale } from "../LocaleProvider.js";
+import { formatFloat } from "../format/NumberFormat.js";
+
+/**
+ * Returns the plural category of the number, based on the CLDR plural rules of the current locale.
+ * Returns undefined if the CLDR data for the current locale is not loaded (see <code>fetchCldr</code>).
+ */
+const getPluralCategory = number => {
+	try {
+		return LocaleData.getInstance(getLocale()).getPluralCategory(number);
+	} catch (e) {
+		// CLDR data not loaded
+	}
+};
+
+/**
+ * Formats the number, which "#" stands for in the "plural" arguments, f.e. 1234 -> "1.234" in German.
+ */
+const formatNumber = number => formatFloat(number);
+
+/**
+ * Formats the "plural" arguments of the i18n texts (see i18nBundle.js) according to the current locale.
+ * Without this feature, the English plural rules are used and the numbers are displayed in JavaScript format.
+ */
+const LocaleMessageFormat = {
+	getPluralCategory,
+	formatNumber,
+};
+
+registerFeature("LocaleMessageFormat", LocaleMessageFormat);
+
+export default LocaleMessageFormat;
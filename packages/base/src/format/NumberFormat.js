@@ -0,0 +1,137 @@
+import NumberFormat from "@ui5/webcomponents-utils/dist/sap/ui/core/format/NumberFormat.js";
+import LocaleData from "@ui5/webcomponents-utils/dist/sap/ui/core/LocaleData.js";
+import { getFormatLocale } from "../FormatSettings.js";
+import { attachFormatSettingsChange } from "../FormatSettingsChange.js";
+
+const formatInstances = new Map();
+
+// The instances are created with the decimal and grouping separators at the time, so they are recreated when the format settings change
+attachFormatSettingsChange(() => {
+	formatInstances.clear();
+});
+
+/**
+ * Returns a (cached) NumberFormat instance for the current format locale,
+ * or undefined if the CLDR data for the locale is not loaded (see <code>fetchCldr</code>).
+ */
+const getFormatInstance = (type, options = {}) => {
+	const locale = getFormatLocale();
+	const key = `${locale}|${type}|${JSON.stringify(options)}`;
+
+	if (!formatInstances.has(key)) {
+		try {
+			formatInstances.set(key, NumberFormat[`get${type}Instance`](Object.assign({}, options), locale));
+		} catch (e) {
+			return; // CLDR data not loaded
+		}
+	}
+
+	return formatInstances.get(key);
+};
+
+// Used when the CLDR data is not loaded - the numbers are formatted and parsed as in JavaScript
+const fallbackFormat = value => String(value);
+const fallbackParse = text => (typeof text === "string" && text.trim() && !Number.isNaN(Number(text)) ? Number(text) : NaN);
+
+const format = (type, value, options, ...rest) => {
+	const formatInstance = getFormatInstance(type, options);
+	return formatInstance ? formatInstance.format(value, ...rest) : fallbackFormat(value);
+};
+
+const parse = (type, text, options) => {
+	const formatInstance = getFormatInstance(type, options);
+	return formatInstance ? formatInstance.parse(text) : fallbackParse(text);
+};
+
+/**
+ * Formats an integer according to the current format locale, f.e. 1234 -> "1,234" in English and "1.234" in German.
+ * @param {number} value
+ * @param {Object} options format options, f.e. <code>{ groupingEnabled: false }</code>
+ * @returns {string}
+ */
+const formatInteger = (value, options) => format("Integer", value, options);
+
+/**
+ * Formats a floating point number according to the current format locale, f.e. 1234.5 -> "1,234.5" in English and "1.234,5" in German.
+ * @param {number} value
+ * @param {Object} options format options, f.e. <code>{ minFractionDigits: 2, maxFractionDigits: 2 }</code>
+ * @returns {string}
+ */
+const formatFloat = (value, options) => format("Float", value, options);
+
+/**
+ * Formats a number as percentage according to the current format locale, f.e. 0.25 -> "25%" in English and "25 %" in German.
+ * @param {number} value
+ * @param {Object} options format options
+ * @returns {string}
+ */
+const formatPercent = (value, options) => format("Percent", value, options);
+
+/**
+ * Formats an amount in the given currency according to the current format locale, f.e. 1234.5, "EUR" -> "EUR 1,234.50" in English.
+ * @param {number} value
+ * @param {string} currency the ISO 4217 currency code, f.e. "EUR"
+ * @param {Object} options format options, f.e. <code>{ currencyCode: false }</code> to display the currency symbol
+ * @returns {string}
+ */
+const formatCurrency = (value, currency, options) => {
+	const formatInstance = getFormatInstance("Currency", options);
+	return formatInstance ? formatInstance.format(value, currency) : `${fallbackFormat(value)} ${currency}`;
+};
+
+/**
+ * Formats a number in a compact form according to the current format locale, f.e. 1234 -> "1.2K" and 1500000 -> "1.5M" in English.
+ * @param {number} value
+ * @param {Object} options format options, f.e. <code>{ style: "long" }</code> for "1.2 thousand"
+ * @returns {string}
+ */
+const formatCompact = (value, options) => format("Float", value, Object.assign({ style: "short", maxFractionDigits: 1 }, options));
+
+/**
+ * Parses a floating point number, formatted according to the current format locale, f.e. "1.234,5" -> 1234.5 in German.
+ * @param {string} text
+ * @param {Object} options format options
+ * @returns {number} the number, or NaN if the text is not a valid number
+ */
+const parseNumber = (text, options) => parse("Float", text, options);
+
+/**
+ * Parses an integer, formatted according to the current format locale, f.e. "1.234" -> 1234 in German.
+ * @param {string} text
+ * @param {Object} options format options
+ * @returns {number} the number, or NaN if the text is not a valid integer
+ */
+const parseInteger = (text, options) => parse("Integer", text, options);
+
+/**
+ * Parses a percentage, formatted according to the current format locale, f.e. "25 %" -> 0.25 in German.
+ * @param {string} text
+ * @param {Object} options format options
+ * @returns {number} the number, or NaN if the text is not a valid percentage
+ */
+const parsePercent = (text, options) => parse("Percent", text, options);
+
+/**
+ * Returns the decimal separator of the current format locale, f.e. "." in English and "," in German.
+ * Returns "." (as in JavaScript) if the CLDR data for the locale is not loaded.
+ * @returns {string}
+ */
+const getDecimalSeparator = () => {
+	try {
+		return LocaleData.getInstance(getFormatLocale()).getNumberSymbol("decimal") || ".";
+	} catch (e) {
+		return "."; // CLDR data not loaded
+	}
+};
+
+export {
+	formatInteger,
+	formatFloat,
+	formatPercent,
+	formatCurrency,
+	formatCompact,
+	parseNumber,
+	parseInteger,
+	parsePercent,
+	getDecimalSeparator,
+};
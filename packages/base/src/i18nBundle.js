@@ -1,24 +1,57 @@
 import { fetchI18nBundle, getI18nBundleData } from "./asset-registries/i18n.js";
+import { getFeature } from "./FeaturesRegistry.js";
+import { getPseudoLocalizedText } from "./config/PseudoLocalization.js";
 import formatMessage from "./util/formatMessage.js";
 
 const I18nBundleInstances = new Map();
 
+/**
+ * Returns the plural category of the number for the current locale, if the "LocaleMessageFormat" feature is imported.
+ * Returns undefined otherwise, in which case the English plural rules are used.
+ */
+const getPluralCategory = number => {
+	const LocaleMessageFormat = getFeature("LocaleMessageFormat");
+	return LocaleMessageFormat && LocaleMessageFormat.getPluralCategory(number);
+};
+
+/**
+ * Formats the number of a "plural" argument for the current locale, if the "LocaleMessageFormat" feature is imported.
+ * Returns the number in JavaScript format otherwise.
+ */
+const formatNumber = number => {
+	const LocaleMessageFormat = getFeature("LocaleMessageFormat");
+	return LocaleMessageFormat ? LocaleMessageFormat.formatNumber(number) : String(number);
+};
+
 class I18nBundle {
 	constructor(packageName) {
 		this.packageName = packageName;
 	}
 
+	/**
+	 * Returns the text in the current language, formatted with the given parameters.
+	 * Apart from positional placeholders ("{0}"), the texts may use the ICU "plural" and "select" syntax,
+	 * f.e. "{0, plural, one {# item} other {# items}}", the plural categories and the number format being determined by the CLDR data
+	 * of the current locale (see <code>features/LocaleMessageFormat.js</code>). Pass numbers, not formatted texts, as values of "plural" arguments.
+	 * When pseudo-localization is turned on (see <code>setPseudoLocalization</code>), the formatted text is pseudo-localized.
+	 * @param textObj the text object with "key" and "defaultText" (used if there is no translation)
+	 * @param params the values of the placeholders
+	 * @returns {string}
+	 */
 	getText(textObj, ...params) {
 		if (!textObj || !textObj.key || !textObj.defaultText) {
 			return "";
 		}
 		const bundle = getI18nBundleData(this.packageName);
+		let text;
 
 		if (!bundle || !bundle[textObj.key]) {
-			return formatMessage(textObj.defaultText, params); // Fallback to "en"
+			text = formatMessage(textObj.defaultText, params); // Fallback to "en" (with the English plural rules)
+		} else {
+			text = formatMessage(bundle[textObj.key], params, getPluralCategory, formatNumber);
 		}
 
-		return formatMessage(bundle[textObj.key], params);
+		return getPseudoLocalizedText(text);
 	}
 }
 
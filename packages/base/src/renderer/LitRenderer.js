@@ -1,14 +1,65 @@
-import { html, render } from "lit-html/lit-html.js";
+import { html as litHtml, svg as litSvg, render } from "lit-html/lit-html.js";
+import { repeat as litRepeat } from "lit-html/directives/repeat.js";
+import { scopeTemplateStrings } from "../CustomElementsScope.js";
+import hydrate from "./hydrate.js";
+
+const styleElements = new WeakMap();
+
+const renderStyles = (styles, domNode) => {
+	let style = styleElements.get(domNode);
+	if (!style) {
+		style = document.createElement("style");
+		styleElements.set(domNode, style);
+	}
+
+	// The style is kept outside of the rendered template, so that it is not lost when lit-html renders for the first time
+	if (style.parentNode !== domNode) {
+		domNode.insertBefore(style, domNode.firstChild);
+	}
+
+	if (style.textContent !== styles) {
+		style.textContent = styles;
+	}
+};
+
+const litRender = (templateResult, domNode, styles, { eventContext, hydrate: hydrateDOM } = {}) => {
+	const options = { eventContext };
+
+	if (hydrateDOM) {
+		// The server-rendered styles (see renderToString.js) are reused, unless the styles are applied by other means (f.e. adoptedStyleSheets)
+		const serverStyle = domNode.firstChild && domNode.firstChild.localName === "style" ? domNode.firstChild : null;
+		if (serverStyle && styles) {
+			styleElements.set(domNode, serverStyle);
+		} else if (serverStyle) {
+			domNode.removeChild(serverStyle);
+		}
+		hydrate(templateResult, domNode, options);
+	} else {
+		render(templateResult, domNode, options);
+	}
 
-const litRender = (templateResult, domNode, styles, { eventContext } = {}) => {
 	if (styles) {
-		templateResult = html`<style>${styles}</style>${templateResult}`;
+		renderStyles(styles, domNode);
+	}
+};
+
+// The tags of the UI5 Web Components used in the templates are scoped, if a scoping suffix is set
+const html = (strings, ...values) => litHtml(scopeTemplateStrings(strings), ...values);
+const svg = (strings, ...values) => litSvg(scopeTemplateStrings(strings), ...values);
+
+// Without a key function, the items are updated by index, exactly as lit-html updates arrays.
+// Rendering them as arrays keeps the templates renderable on the server and hydratable on the client.
+const repeat = (items, keyFnOrTemplate, template) => {
+	if (template === undefined) {
+		template = keyFnOrTemplate;
+	} else if (keyFnOrTemplate !== undefined) {
+		return litRepeat(items, keyFnOrTemplate, template);
 	}
-	render(templateResult, domNode, { eventContext });
+
+	return Array.from(items, template);
 };
 
-export { html, svg } from "lit-html/lit-html.js";
-export { repeat } from "lit-html/directives/repeat.js";
+export { html, svg, repeat };
 export { classMap } from "lit-html/directives/class-map.js";
 export { styleMap } from "lit-html/directives/style-map.js";
 
@@ -0,0 +1,172 @@
+/**
+ * Provides minimal replacements of the browser globals, needed to import, define and render UI5 Web Components
+ * with <code>renderToString</code> in Node.js. Has no effect in the browser.
+ *
+ * Must be imported before any of the components:
+ *  import "@ui5/webcomponents-base/dist/renderer/ServerEnvironment.js";
+ *  import "@ui5/webcomponents/dist/Button.js";
+ */
+/* global globalThis */
+if (typeof window === "undefined") {
+	const noop = () => {};
+	const attributes = new WeakMap();
+	const shadowRoots = new WeakMap();
+
+	const getAttributes = element => {
+		if (!attributes.has(element)) {
+			attributes.set(element, new Map());
+		}
+		return attributes.get(element);
+	};
+
+	class ServerNode extends EventTarget {
+		get parentNode() {
+			return null;
+		}
+
+		get childNodes() {
+			return [];
+		}
+
+		get children() {
+			return [];
+		}
+
+		get isConnected() {
+			return false;
+		}
+
+		appendChild(node) {
+			return node;
+		}
+
+		insertBefore(node) {
+			return node;
+		}
+
+		removeChild(node) {
+			return node;
+		}
+
+		contains() {
+			return false;
+		}
+
+		getRootNode() {
+			return this;
+		}
+
+		querySelector() {
+			return null;
+		}
+
+		querySelectorAll() {
+			return [];
+		}
+	}
+
+	class ServerElement extends ServerNode {
+		get attributes() {
+			return Array.from(getAttributes(this), ([name, value]) => ({ name, value }));
+		}
+
+		get shadowRoot() {
+			return shadowRoots.get(this) || null;
+		}
+
+		getAttribute(name) {
+			return this.hasAttribute(name) ? getAttributes(this).get(name) : null;
+		}
+
+		setAttribute(name, value) {
+			getAttributes(this).set(name, String(value));
+		}
+
+		removeAttribute(name) {
+			getAttributes(this).delete(name);
+		}
+
+		hasAttribute(name) {
+			return getAttributes(this).has(name);
+		}
+
+		attachShadow() {
+			const shadowRoot = new ServerNode();
+			shadowRoot.host = this;
+			shadowRoots.set(this, shadowRoot);
+			return shadowRoot;
+		}
+
+		closest() {
+			return null;
+		}
+
+		matches() {
+			return false;
+		}
+	}
+
+	class ServerObserver {
+		observe() {}
+
+		unobserve() {}
+
+		disconnect() {}
+	}
+
+	const definitions = new Map();
+	const pendingDefinitions = new Map();
+
+	const whenDefined = tag => {
+		if (definitions.has(tag)) {
+			return Promise.resolve();
+		}
+		if (!pendingDefinitions.has(tag)) {
+			let resolve;
+			const promise = new Promise(res => {
+				resolve = res;
+			});
+			pendingDefinitions.set(tag, { promise, resolve });
+		}
+		return pendingDefinitions.get(tag).promise;
+	};
+
+	const define = (tag, ElementClass) => {
+		definitions.set(tag, ElementClass);
+		if (pendingDefinitions.has(tag)) {
+			pendingDefinitions.get(tag).resolve();
+			pendingDefinitions.delete(tag);
+		}
+	};
+
+	const document = Object.assign(new ServerNode(), {
+		readyState: "complete",
+		head: new ServerElement(),
+		body: new ServerElement(),
+		documentElement: new ServerElement(),
+		createElement: () => new ServerElement(),
+		createTextNode: () => new ServerNode(),
+		createComment: () => new ServerNode(),
+	});
+
+	Object.assign(globalThis, {
+		window: globalThis,
+		document,
+		location: { href: "", search: "", hash: "" },
+		Node: ServerNode,
+		Element: ServerElement,
+		HTMLElement: ServerElement,
+		customElements: { define, get: tag => definitions.get(tag), whenDefined },
+		MutationObserver: ServerObserver,
+		ResizeObserver: ServerObserver,
+		IntersectionObserver: ServerObserver,
+		requestAnimationFrame: callback => setTimeout(callback, 0),
+		cancelAnimationFrame: clearTimeout,
+		getComputedStyle: () => ({ getPropertyValue: () => "" }),
+		matchMedia: () => ({ matches: false, addListener: noop, removeListener: noop }),
+	});
+
+	if (typeof navigator === "undefined") {
+		globalThis.navigator = { userAgent: "", platform: "", languages: [] };
+	}
+}
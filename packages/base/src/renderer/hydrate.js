@@ -0,0 +1,265 @@
+import {
+	parts,
+	render,
+	templateFactory,
+	createMarker,
+	isDirective,
+	isIterable,
+	isPrimitive,
+	isTemplatePartActive,
+	noChange,
+	NodePart,
+	TemplateInstance,
+	TemplateResult,
+} from "lit-html/lit-html.js";
+
+// Note: the hydration uses the "__pendingValue" field of NodePart and the "__parts" field of TemplateInstance,
+// which are named so since lit-html 1.1 (hence the "^1.1.2" dependency)
+
+// The dynamic content of each template part is enclosed in these comments by renderToString.js,
+// so that it can be told apart from the static content of the template (f.e. adjacent texts)
+const PART_START = "ui5-part";
+const PART_END = "/ui5-part";
+
+const isComment = (node, data) => !!node && node.nodeType === Node.COMMENT_NODE && node.data === data;
+const isMarker = node => isComment(node, "");
+const isPartStart = node => isComment(node, PART_START);
+
+const mismatch = () => {
+	throw new Error("The server-rendered DOM does not match the template.");
+};
+
+const findPartEnd = partStart => {
+	let depth = 0;
+	for (let node = partStart.nextSibling; node; node = node.nextSibling) {
+		if (isPartStart(node)) {
+			depth++;
+		} else if (isComment(node, PART_END)) {
+			if (depth === 0) {
+				return node;
+			}
+			depth--;
+		}
+	}
+	mismatch();
+};
+
+/**
+ * Resolves the directives (f.e. "ifDefined") of a node part's value, the same way lit-html does before committing it
+ */
+const resolveDirectives = (value, options) => {
+	const part = new NodePart(options);
+	part.setValue(value);
+	while (isDirective(part.__pendingValue)) {
+		const directive = part.__pendingValue;
+		part.__pendingValue = noChange;
+		directive(part);
+	}
+	return part.__pendingValue;
+};
+
+/**
+ * Returns the nodes of the template, to which its parts are bound - the same way TemplateInstance finds them in its clone
+ */
+const getPartNodes = template => {
+	const walker = document.createTreeWalker(template.element.content, 133 /* NodeFilter.SHOW_{ELEMENT|COMMENT|TEXT} */, null, false);
+	const stack = [];
+	let nodeIndex = 0;
+	let node = walker.nextNode();
+
+	return template.parts.map(part => {
+		if (!isTemplatePartActive(part)) {
+			return;
+		}
+		while (nodeIndex < part.index) {
+			nodeIndex++;
+			if (node.nodeName === "TEMPLATE") {
+				stack.push(node);
+				walker.currentNode = node.content;
+			}
+			node = walker.nextNode();
+			if (node === null) {
+				walker.currentNode = stack.pop();
+				node = walker.nextNode();
+			}
+		}
+		return node;
+	});
+};
+
+/**
+ * Pairs the nodes of the template with the server-rendered nodes (from "node" until "stopNode").
+ * The empty comments that lit-html adds to the templates as part markers are created, as they are not server-rendered,
+ * and the server-rendered content of each node part is recorded for the node that ends the part.
+ */
+const matchNodes = (templateNode, parent, node, stopNode, context) => {
+	for (; templateNode; templateNode = templateNode.nextSibling) {
+		if (isPartStart(node) && context.partEnds.has(templateNode) && !context.partStarts.has(templateNode)) {
+			context.partStarts.set(templateNode, node);
+			node = findPartEnd(node).nextSibling;
+		}
+
+		if (isMarker(templateNode) && !isMarker(node)) {
+			node = parent.insertBefore(createMarker(), node);
+		}
+
+		if (!node || node === stopNode || node.nodeType !== templateNode.nodeType || node.localName !== templateNode.localName) {
+			mismatch();
+		}
+
+		context.nodes.set(templateNode, node);
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			const templateChildren = templateNode.localName === "template" ? templateNode.content : templateNode;
+			const children = node.localName === "template" ? node.content : node;
+			matchNodes(templateChildren.firstChild, children, children.firstChild, null, context);
+		}
+
+		node = node.nextSibling;
+	}
+
+	if (node !== stopNode) {
+		mismatch();
+	}
+};
+
+const removePartComments = partStart => {
+	const partEnd = findPartEnd(partStart);
+	partStart.parentNode.removeChild(partStart);
+	partEnd.parentNode.removeChild(partEnd);
+};
+
+/**
+ * Creates a template instance for the server-rendered nodes between the start and the end node of the part
+ */
+const hydrateTemplateResult = (part, result) => {
+	const template = part.options.templateFactory(result);
+	const instance = new TemplateInstance(template, result.processor, part.options);
+	const partNodes = getPartNodes(template);
+	const context = {
+		nodes: new Map(),
+		partStarts: new Map(),
+		partEnds: new Set(partNodes.filter((node, i) => template.parts[i].type === "node")),
+	};
+
+	matchNodes(template.element.content.firstChild, part.startNode.parentNode, part.startNode.nextSibling, part.endNode, context);
+
+	template.parts.forEach((templatePart, i) => {
+		if (!isTemplatePartActive(templatePart)) {
+			instance.__parts.push(undefined);
+			return;
+		}
+
+		const templateNode = partNodes[i];
+		if (templatePart.type === "node") {
+			const nodePart = result.processor.handleTextExpression(part.options);
+			const partStart = context.partStarts.get(templateNode);
+			if (!partStart) {
+				mismatch();
+			}
+			removePartComments(partStart);
+			nodePart.startNode = context.nodes.get(templateNode.previousSibling);
+			nodePart.endNode = context.nodes.get(templateNode);
+			hydratePart(nodePart, result.values[instance.__parts.length]);
+			instance.__parts.push(nodePart);
+		} else {
+			instance.__parts.push(...result.processor.handleAttributeExpressions(context.nodes.get(templateNode), templatePart.name, templatePart.strings, part.options));
+		}
+	});
+
+	return instance;
+};
+
+/**
+ * Creates a part for each server-rendered item, laid out the same way lit-html lays out the parts of iterables
+ */
+const hydrateIterable = (part, items) => {
+	const itemParts = [];
+	let node = part.startNode.nextSibling;
+
+	for (const item of items) { // eslint-disable-line
+		if (!isPartStart(node)) {
+			mismatch();
+		}
+
+		const partEnd = findPartEnd(node);
+		const next = partEnd.nextSibling;
+		const itemPart = new NodePart(part.options);
+
+		// The item starts with its own marker and ends with the marker of the next item
+		node.data = "";
+		itemPart.startNode = node;
+		if (next === part.endNode) {
+			partEnd.data = "";
+			itemPart.endNode = partEnd;
+		} else {
+			partEnd.parentNode.removeChild(partEnd);
+			itemPart.endNode = next;
+		}
+
+		hydratePart(itemPart, item);
+		itemParts.push(itemPart);
+		node = next;
+	}
+
+	if (node !== part.endNode) {
+		mismatch();
+	}
+
+	return itemParts;
+};
+
+/**
+ * Binds the part to its server-rendered content, so that committing the value updates the content instead of recreating it.
+ * Texts need no binding, lit-html updates the existing text node.
+ */
+const hydratePart = (part, value) => {
+	value = resolveDirectives(value, part.options);
+
+	if (isPrimitive(value)) {
+		return;
+	}
+
+	if (value instanceof TemplateResult) {
+		part.value = hydrateTemplateResult(part, value);
+	} else if (isIterable(value)) {
+		part.value = hydrateIterable(part, value);
+	}
+};
+
+/**
+ * Renders a lit-html template result into a container with server-rendered content (see renderToString.js),
+ * reusing the existing DOM nodes instead of replacing them.
+ * If the server-rendered content does not match the template, it is rendered from scratch.
+ *
+ * @param {TemplateResult} templateResult
+ * @param {Node} container
+ * @param {Object} options the lit-html render options
+ */
+const hydrate = (templateResult, container, options) => {
+	const rootPart = new NodePart(Object.assign({ templateFactory }, options));
+
+	// The nodes before the rendered template (f.e. the styles) are not part of it
+	const partStart = Array.from(container.childNodes).find(isPartStart);
+
+	try {
+		if (!partStart || findPartEnd(partStart) !== container.lastChild) {
+			mismatch();
+		}
+		rootPart.startNode = container.insertBefore(createMarker(), partStart);
+		rootPart.endNode = container.appendChild(createMarker());
+		removePartComments(partStart);
+		hydratePart(rootPart, templateResult);
+		parts.set(container, rootPart);
+	} catch (e) {
+		console.warn(`${e.message} It is rendered from scratch.`); // eslint-disable-line
+	}
+
+	render(templateResult, container, options);
+};
+
+export default hydrate;
+export {
+	PART_START,
+	PART_END,
+	resolveDirectives,
+};
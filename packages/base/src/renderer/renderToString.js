@@ -0,0 +1,219 @@
+import {
+	isPrimitive,
+	isIterable,
+	noChange,
+	nothing,
+	TemplateResult,
+} from "lit-html/lit-html.js";
+import { lastAttributeNameRegex } from "lit-html/lib/template.js";
+import { getEffectiveStyle } from "../Theming.js";
+import { camelToKebabCase } from "../util/StringHelper.js";
+import { PART_START, PART_END, resolveDirectives } from "./hydrate.js";
+
+const escapeText = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttribute = value => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+const serializeAttributes = attributes => {
+	return attributes.map(({ name, value }) => {
+		return value === "" ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`;
+	}).join("");
+};
+
+/**
+ * Collects the values of the bound attributes of a template element, as set by lit-html and its directives (f.e. "classMap")
+ */
+class AttributeRecorder {
+	constructor() {
+		this.values = new Map();
+		this.declarations = new Map();
+
+		const getCSSText = () => Array.from(this.declarations, ([name, value]) => `${name}: ${value};`).join(" ");
+		const setDeclaration = (name, value) => {
+			if (value === null || value === undefined || value === "") {
+				this.declarations.delete(name);
+			} else {
+				this.declarations.set(name, value);
+			}
+			this.setAttribute("style", getCSSText());
+		};
+
+		this.classList = {
+			add: name => this.setAttribute("class", `${this.className} ${name}`.trim()),
+			remove: name => this.setAttribute("class", this.className.split(" ").filter(className => className !== name).join(" ")),
+		};
+
+		const style = {
+			get cssText() {
+				return getCSSText();
+			},
+			set cssText(cssText) {
+				cssText.split(";").forEach(declaration => {
+					const [name, ...value] = declaration.split(":");
+					value.length && setDeclaration(name.trim(), value.join(":").trim());
+				});
+			},
+			setProperty: setDeclaration,
+			removeProperty: name => setDeclaration(name, null),
+		};
+		this.style = new Proxy(style, {
+			set: (target, name, value) => {
+				if (name === "cssText") {
+					target.cssText = value;
+				} else {
+					setDeclaration(camelToKebabCase(name), value);
+				}
+				return true;
+			},
+		});
+	}
+
+	get className() {
+		return this.getAttribute("class") || "";
+	}
+
+	set className(value) {
+		this.setAttribute("class", value.trim());
+	}
+
+	get attributes() {
+		return Array.from(this.values, ([name, value]) => ({ name, value }));
+	}
+
+	getAttribute(name) {
+		return this.values.has(name) ? this.values.get(name) : null;
+	}
+
+	setAttribute(name, value) {
+		this.values.set(name, String(value));
+	}
+
+	removeAttribute(name) {
+		this.values.delete(name);
+	}
+
+	addEventListener() {}
+
+	removeEventListener() {}
+}
+
+const renderAttribute = (processor, name, strings, values) => {
+	const element = new AttributeRecorder();
+	const parts = processor.handleAttributeExpressions(element, name, strings, {});
+
+	parts.forEach((part, i) => part.setValue(values[i]));
+	parts.forEach(part => part.commit());
+
+	return serializeAttributes(element.attributes).trim();
+};
+
+// The dynamic content is enclosed in comments, so that the client can hydrate it (see hydrate.js)
+const renderPart = value => `<!--${PART_START}-->${renderValue(value)}<!--${PART_END}-->`; // eslint-disable-line
+
+const renderValue = value => {
+	value = resolveDirectives(value, {});
+
+	if (value === null || value === undefined || value === nothing || value === noChange) {
+		return "";
+	}
+
+	if (isPrimitive(value)) {
+		return escapeText(String(value));
+	}
+
+	if (value instanceof TemplateResult) {
+		return renderTemplateResult(value); // eslint-disable-line
+	}
+
+	if (isIterable(value)) {
+		return Array.from(value, renderPart).join("");
+	}
+
+	return escapeText(String(value));
+};
+
+/**
+ * Renders a lit-html template result to HTML, determining the kind of each binding the same way lit-html does (see TemplateResult#getHTML)
+ */
+const renderTemplateResult = result => {
+	const { strings, values, processor } = result;
+	let html = "";
+	let markup = strings[0]; // the static markup before the current value
+	let isCommentBinding = false;
+
+	for (let i = 0; i < values.length; i++) {
+		const attributeMatch = lastAttributeNameRegex.exec(markup);
+
+		if (attributeMatch) {
+			// All values until the end of the attribute value belong to the same attribute
+			const [, whitespace, name, assignment] = attributeMatch;
+			const valueStart = assignment.replace(/^\s*=\s*/, "");
+			const quote = valueStart[0] === "\"" || valueStart[0] === "'" ? valueStart[0] : "";
+			const attributeStrings = [valueStart.slice(quote.length)];
+			const attributeValues = [values[i]];
+			let rest = strings[i + 1];
+			let end = quote ? rest.indexOf(quote) : rest.search(/[\s>]|$/);
+
+			while (end === -1) {
+				attributeStrings.push(rest);
+				attributeValues.push(values[++i]);
+				rest = strings[i + 1];
+				end = rest.indexOf(quote);
+			}
+			attributeStrings.push(rest.slice(0, end));
+
+			html += `${markup.slice(0, attributeMatch.index)}${whitespace}${renderAttribute(processor, name, attributeStrings, attributeValues)}`;
+			markup = rest.slice(end + quote.length);
+		} else {
+			const commentOpen = markup.lastIndexOf("<!--");
+			isCommentBinding = (commentOpen > -1 || isCommentBinding) && markup.indexOf("-->", commentOpen + 1) === -1;
+
+			// Bindings in comments are not rendered by lit-html
+			html += isCommentBinding ? markup : `${markup}${renderPart(values[i])}`;
+			markup = strings[i + 1];
+		}
+	}
+
+	return `${html}${markup}`;
+};
+
+/**
+ * Renders a UI5 Web Component to an HTML string, with its shadow DOM as declarative shadow DOM
+ * (<code>&lt;template shadowroot="open"></code>), including the component styles.
+ * The result can be sent by the server so that the component is displayed before its JavaScript is loaded.
+ * When the component is defined on the client, it hydrates the server-rendered shadow DOM - the existing nodes are reused and updated.
+ *
+ * Does not need a DOM implementation: in Node.js, import "ServerEnvironment.js" before the components.
+ * The slotted children (the light DOM) and the nested components are not rendered on the server - they render on the client.
+ *
+ * Example:
+ *  const html = await renderToString("ui5-button", { properties: { design: "Emphasized" }, lightDOM: "Save" });
+ *
+ * @public
+ * @param {string} tag the tag of the component
+ * @param {Object} options
+ * @param {Object} options.properties properties to set on the component
+ * @param {string} options.lightDOM HTML string with the children (light DOM) of the component
+ * @returns {Promise<string>}
+ */
+const renderToString = async (tag, { properties = {}, lightDOM = "" } = {}) => {
+	await customElements.whenDefined(tag);
+
+	const ElementClass = customElements.get(tag);
+	const element = new ElementClass();
+	Object.assign(element, properties);
+
+	let shadowDOM = "";
+	if (element.isUI5Element && ElementClass._needsShadowDOM()) {
+		element._suppressInvalidation = true;
+		if (typeof element.onBeforeRendering === "function") {
+			element.onBeforeRendering();
+		}
+		delete element._suppressInvalidation;
+
+		shadowDOM = `<template shadowroot="open"><style>${getEffectiveStyle(ElementClass)}</style>${renderPart(ElementClass.template(element))}</template>`;
+	}
+
+	return `<${tag}${serializeAttributes(Array.from(element.attributes))}>${shadowDOM}${lightDOM}</${tag}>`;
+};
+
+export default renderToString;
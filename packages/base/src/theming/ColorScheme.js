@@ -0,0 +1,66 @@
+// The first matching media query determines the color scheme, preferred by the user (in the OS or browser settings)
+const MEDIA_QUERIES = [
+	{ colorScheme: "contrast", query: "(forced-colors: active)" },
+	{ colorScheme: "contrast", query: "(prefers-contrast: more)" },
+	{ colorScheme: "contrast", query: "(-ms-high-contrast: active)" }, // IE and Edge
+	{ colorScheme: "dark", query: "(prefers-color-scheme: dark)" },
+];
+
+const DEFAULT_COLOR_SCHEME = "light";
+
+const colorSchemeChangeCallbacks = [];
+let mediaQueryLists;
+let colorScheme;
+
+const getMediaQueryLists = () => {
+	if (!mediaQueryLists) {
+		mediaQueryLists = window.matchMedia ? MEDIA_QUERIES.map(({ query }) => window.matchMedia(query)) : [];
+	}
+
+	return mediaQueryLists;
+};
+
+/**
+ * Returns the color scheme, preferred by the user: "light", "dark" or "contrast"
+ * @returns {string}
+ */
+const getColorScheme = () => {
+	const matchingIndex = getMediaQueryLists().findIndex(mediaQueryList => mediaQueryList.matches);
+	return matchingIndex === -1 ? DEFAULT_COLOR_SCHEME : MEDIA_QUERIES[matchingIndex].colorScheme;
+};
+
+const onMediaQueryChange = () => {
+	const newColorScheme = getColorScheme();
+
+	// Several media queries may change at once (f.e. "forced-colors" and "prefers-contrast")
+	if (newColorScheme === colorScheme) {
+		return;
+	}
+
+	colorScheme = newColorScheme;
+	colorSchemeChangeCallbacks.forEach(callback => callback(colorScheme));
+};
+
+/**
+ * Calls the callback each time the color scheme, preferred by the user, changes.
+ * The media queries are only listened to after the first callback is attached.
+ * @param callback
+ */
+const attachColorSchemeChange = callback => {
+	if (colorSchemeChangeCallbacks.includes(callback)) {
+		return;
+	}
+
+	if (!colorSchemeChangeCallbacks.length) {
+		colorScheme = getColorScheme();
+		// "addListener" is deprecated, but unlike "addEventListener" it is supported by all browsers
+		getMediaQueryLists().forEach(mediaQueryList => mediaQueryList.addListener(onMediaQueryChange));
+	}
+
+	colorSchemeChangeCallbacks.push(callback);
+};
+
+export {
+	getColorScheme,
+	attachColorSchemeChange,
+};
@@ -1,19 +1,104 @@
 const customCSSFor = {};
+const customStaticAreaCSSFor = {};
+const customCSSChangeCallbacks = [];
 
+const addToRegistry = (registry, tag, css) => {
+	if (!registry[tag]) {
+		registry[tag] = [];
+	}
+
+	registry[tag].push(css);
+	fireCustomCSSChange(tag);
+};
+
+const removeFromRegistry = (registry, tag, css) => {
+	if (!registry[tag]) {
+		return;
+	}
+
+	if (css === undefined) {
+		delete registry[tag];
+	} else {
+		registry[tag] = registry[tag].filter(registeredCSS => registeredCSS !== css);
+	}
+
+	fireCustomCSSChange(tag);
+};
+
+const getFromRegistry = (registry, tag) => {
+	return registry[tag] ? registry[tag].join("") : "";
+};
+
+const fireCustomCSSChange = tag => {
+	customCSSChangeCallbacks.forEach(callback => callback(tag));
+};
+
+/**
+ * Adds CSS to the shadow root of all instances of a component, including the already rendered ones
+ * @public
+ * @param tag - the tag of the component, f.e. "ui5-button"
+ * @param css - the CSS to be added
+ */
 const addCustomCSS = (tag, css, ...rest) => {
 	if (rest.length) {
 		throw new Error("addCustomCSS no longer accepts theme specific CSS. new signature is `addCustomCSS(tag, css)`");
 	}
 
-	if (!customCSSFor[tag]) {
-		customCSSFor[tag] = [];
-	}
+	addToRegistry(customCSSFor, tag, css);
+};
+
+/**
+ * Removes CSS, previously added with <code>addCustomCSS</code>
+ * @public
+ * @param tag - the tag of the component, f.e. "ui5-button"
+ * @param css - the CSS to be removed. If omitted, all custom CSS for the component is removed
+ */
+const removeCustomCSS = (tag, css) => {
+	removeFromRegistry(customCSSFor, tag, css);
+};
+
+/**
+ * Adds CSS to the static area fragment of all instances of a component (f.e. the dropdown of "ui5-select"), including the already rendered ones
+ * @public
+ * @param tag - the tag of the component, f.e. "ui5-select"
+ * @param css - the CSS to be added
+ */
+const addCustomStaticAreaCSS = (tag, css) => {
+	addToRegistry(customStaticAreaCSSFor, tag, css);
+};
 
-	customCSSFor[tag].push(css);
+/**
+ * Removes CSS, previously added with <code>addCustomStaticAreaCSS</code>
+ * @public
+ * @param tag - the tag of the component, f.e. "ui5-select"
+ * @param css - the CSS to be removed. If omitted, all custom static area CSS for the component is removed
+ */
+const removeCustomStaticAreaCSS = (tag, css) => {
+	removeFromRegistry(customStaticAreaCSSFor, tag, css);
 };
 
 const getCustomCSS = tag => {
-	return customCSSFor[tag] ? customCSSFor[tag].join("") : "";
+	return getFromRegistry(customCSSFor, tag);
+};
+
+const getCustomStaticAreaCSS = tag => {
+	return getFromRegistry(customStaticAreaCSSFor, tag);
 };
 
-export { addCustomCSS, getCustomCSS };
+/**
+ * Calls the callback with the tag of the component, each time custom CSS is added or removed for it
+ * @param callback
+ */
+const attachCustomCSSChange = callback => {
+	customCSSChangeCallbacks.push(callback);
+};
+
+export {
+	addCustomCSS,
+	removeCustomCSS,
+	addCustomStaticAreaCSS,
+	removeCustomStaticAreaCSS,
+	getCustomCSS,
+	getCustomStaticAreaCSS,
+	attachCustomCSSChange,
+};
@@ -44,16 +44,21 @@ const injectThemeProperties = (cssText, packageName) => {
 };
 
 /**
- * Creates a style element holding the CSS for a web component (and resolves CSS Custom Properties for IE)
+ * Creates/updates a style element holding the CSS for a web component (and resolves CSS Custom Properties for IE)
  * @param tagName
  * @param cssText
  */
 const injectWebComponentStyle = (tagName, cssText) => {
 	// Edge and IE
-	createStyleInHead(cssText, {
-		"data-ui5-element-styles": tagName,
-		"disabled": "disabled",
-	});
+	const styleElement = document.head.querySelector(`style[data-ui5-element-styles="${tagName}"]`);
+	if (styleElement) {
+		styleElement.textContent = cssText;
+	} else {
+		createStyleInHead(cssText, {
+			"data-ui5-element-styles": tagName,
+			"disabled": "disabled",
+		});
+	}
 
 	// When injecting component styles, more might come in the same tick, so run the ponyfill async (to avoid double work)
 	if (ponyfillNeeded()) {
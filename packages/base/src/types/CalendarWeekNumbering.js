@@ -0,0 +1,9 @@
+const CalendarWeekNumbering = {
+	// the week numbering of the locale: "WesternTraditional" for en-US and "ISO_8601" for all other locales
+	Default: "Default",
+	// the week starts on Monday, the first week of the year is the one with the first Thursday
+	ISO_8601: "ISO_8601",
+	// the week starts on Sunday, the first week of the year is the one with January 1st
+	WesternTraditional: "WesternTraditional",
+};
+export default CalendarWeekNumbering;
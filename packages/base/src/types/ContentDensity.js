@@ -0,0 +1,6 @@
+const ContentDensity = {
+	Cozy: "cozy",
+	Compact: "compact",
+	Auto: "auto",
+};
+export default ContentDensity;
@@ -0,0 +1,9 @@
+import DataType from "./DataType.js";
+
+class Float extends DataType {
+	static isValid(value) {
+		return typeof value === "number" && !Number.isNaN(value);
+	}
+}
+
+export default Float;
@@ -1,22 +1,184 @@
-const messageFormatRegEX = /('')|'([^']+(?:''[^']*)*)(?:'|$)|\{([0-9]+(?:\s*,[^{}]*)?)\}|[{}]/g;
+const argumentRegEX = /^\s*([0-9]+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/;
+const offsetRegEX = /^\s*offset:\s*([0-9]+)/;
+const selectorRegEX = /^\s*(=?[^\s{}]+)\s*/;
 
-const formatMessage = (text, values) => {
-	values = values || [];
+const syntaxError = offset => new Error(`[i18n]: pattern syntax error at pos ${offset}`);
 
-	return text.replace(messageFormatRegEX, ($0, $1, $2, $3, offset) => {
-		if ($1) {
-			return '\''; /* eslint-disable-line */
+// English plural rules, used when no plural rules are provided (f.e. the CLDR data is not loaded)
+const getDefaultPluralCategory = number => (number === "1" ? "one" : "other");
+
+// Used when no number format is provided - the number is displayed as in JavaScript
+const defaultFormatNumber = number => String(number);
+
+/**
+ * Returns the position right after the quoted text, starting at "start" (the opening apostrophe),
+ * along with the text itself. Two consecutive apostrophes within the quoted text stand for a single one.
+ */
+const readQuoted = (text, start) => {
+	let quoted = "";
+	let pos = start + 1;
+
+	while (pos < text.length) {
+		const end = text.indexOf("'", pos);
+		if (end === -1) {
+			break;
+		}
+
+		quoted += text.substring(pos, end);
+		if (text[end + 1] !== "'") {
+			return { quoted, end: end + 1 };
 		}
 
-		if ($2) {
-			return $2.replace(/''/g, '\''); /* eslint-disable-line */
+		quoted += "'";
+		pos = end + 2;
+	}
+
+	return { quoted: quoted + text.substring(pos), end: text.length };
+};
+
+/**
+ * Returns the position of the closing brace, matching the opening one at "start"
+ */
+const findClosingBrace = (text, start) => {
+	let depth = 0;
+
+	for (let pos = start; pos < text.length; pos++) {
+		const char = text[pos];
+		if (char === "'" && text[pos + 1] !== "'") {
+			pos = readQuoted(text, pos).end - 1;
+		} else if (char === "'") {
+			pos++;
+		} else if (char === "{") {
+			depth++;
+		} else if (char === "}" && --depth === 0) {
+			return pos;
 		}
+	}
 
-		if ($3) {
-			return String(values[parseInt($3)]);
+	throw syntaxError(start);
+};
+
+/**
+ * Parses the options of a "plural" or "select" argument, f.e. "one {# item} other {# items}"
+ * into an object: { one: "# item", other: "# items" }
+ */
+const parseOptions = (text, offset) => {
+	const options = {};
+	let pos = 0;
+
+	while (text.substring(pos).trim()) {
+		const selector = text.substring(pos).match(selectorRegEX);
+		const start = selector && pos + selector[0].length;
+
+		if (!selector || text[start] !== "{") {
+			throw syntaxError(offset + pos);
 		}
 
-		throw new Error(`[i18n]: pattern syntax error at pos ${offset}`);
+		const end = findClosingBrace(text, start);
+		options[selector[1]] = text.substring(start + 1, end);
+		pos = end + 1;
+	}
+
+	return options;
+};
+
+const formatPlural = (value, optionsText, context, offset) => {
+	const pluralOffset = optionsText.match(offsetRegEX);
+	const options = parseOptions(pluralOffset ? optionsText.substring(pluralOffset[0].length) : optionsText, offset);
+	const number = Number(value);
+	const numberToFormat = String(number - (pluralOffset ? parseInt(pluralOffset[1]) : 0));
+
+	let option = options[`=${number}`];
+	if (option === undefined) {
+		const category = context.getPluralCategory(numberToFormat) || getDefaultPluralCategory(numberToFormat);
+		option = options[category] !== undefined ? options[category] : options.other;
+	}
+
+	return option === undefined ? "" : format(option, Object.assign({}, context, { pluralNumber: context.formatNumber(Number(numberToFormat)) }));
+};
+
+const formatSelect = (value, optionsText, context, offset) => {
+	const options = parseOptions(optionsText, offset);
+	const option = options[String(value)] !== undefined ? options[String(value)] : options.other;
+
+	return option === undefined ? "" : format(option, context);
+};
+
+const formatArgument = (argument, context, offset) => {
+	const match = argument.match(argumentRegEX);
+	if (!match) {
+		throw syntaxError(offset);
+	}
+
+	const [, index, type, options] = match;
+	const value = context.values[parseInt(index)];
+
+	if (type === "plural" && options !== undefined) {
+		return formatPlural(value, options, context, offset);
+	}
+
+	if (type === "select" && options !== undefined) {
+		return formatSelect(value, options, context, offset);
+	}
+
+	return String(value);
+};
+
+/**
+ * Formats the text, replacing the arguments with the values.
+ * Within the options of a "plural" argument, "#" stands for the number.
+ */
+const format = (text, context) => {
+	let result = "";
+	let pos = 0;
+
+	while (pos < text.length) {
+		const char = text[pos];
+
+		if (char === "'" && text[pos + 1] === "'") {
+			result += "'";
+			pos += 2;
+		} else if (char === "'") {
+			const { quoted, end } = readQuoted(text, pos);
+			result += quoted;
+			pos = end;
+		} else if (char === "{") {
+			const end = findClosingBrace(text, pos);
+			result += formatArgument(text.substring(pos + 1, end), context, pos);
+			pos = end + 1;
+		} else if (char === "}") {
+			throw syntaxError(pos);
+		} else {
+			result += char === "#" && context.pluralNumber !== undefined ? context.pluralNumber : char;
+			pos++;
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Formats a message pattern, f.e. "{0} of {1}", with the given values.
+ *
+ * Apart from the positional arguments, the ICU "plural" and "select" arguments are supported:
+ * <ul>
+ * <li><code>{0, plural, =0 {No items} one {# item} other {# items}}</code> - the options are the plural categories
+ * (zero, one, two, few, many, other) or exact values (=N), and "#" stands for the (formatted) number. An optional "offset:N" is subtracted from the number.</li>
+ * <li><code>{0, select, female {her} male {his} other {their}}</code> - the option, matching the value, or "other" is used.</li>
+ * </ul>
+ * Text within apostrophes is not formatted, and two consecutive apostrophes stand for a single one.
+ *
+ * @param {string} text the message pattern
+ * @param {Array} values the values of the arguments
+ * @param {Function} getPluralCategory returns the plural category for a number (as string), defaults to the English plural rules
+ * @param {Function} formatNumber formats the number, which "#" stands for, defaults to the JavaScript format
+ * @returns {string}
+ */
+const formatMessage = (text, values, getPluralCategory, formatNumber) => {
+	return format(text, {
+		values: values || [],
+		getPluralCategory: getPluralCategory || getDefaultPluralCategory,
+		formatNumber: formatNumber || defaultFormatNumber,
 	});
 };
 
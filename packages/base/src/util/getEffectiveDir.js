@@ -0,0 +1,61 @@
+import { getRTL, isRTLExplicit } from "../config/RTL.js";
+import RenderScheduler from "../RenderScheduler.js";
+
+const DIR_VALUES = ["ltr", "rtl"];
+
+let dirObserver;
+
+const getDir = element => {
+	const dir = ((element && element.getAttribute("dir")) || "").toLowerCase();
+	return DIR_VALUES.includes(dir) ? dir : undefined;
+};
+
+const isDocumentLevel = node => node === document.documentElement || node === document.body;
+
+// Re-render all components, when a "dir" attribute in the document changes, as the direction of any of them might depend on it
+const observeDirChanges = () => {
+	if (dirObserver) {
+		return;
+	}
+
+	dirObserver = new MutationObserver(() => {
+		RenderScheduler.reRenderAllUI5Elements();
+	});
+	dirObserver.observe(document.documentElement, { attributes: true, attributeFilter: ["dir"], subtree: true });
+};
+
+/**
+ * Returns the text direction for an element, in the following order of precedence:
+ * <ul>
+ * <li>the "dir" attribute of the closest ancestor (crossing shadow root boundaries) that has one, below the <code>body</code> element</li>
+ * <li>the global RTL configuration, if set explicitly (with the "rtl" setting or <code>setRTL</code>)</li>
+ * <li>the "dir" attribute of the <code>body</code> or <code>html</code> element</li>
+ * <li>the direction, implied by the language</li>
+ * </ul>
+ * @param element
+ * @returns {string} "rtl" or "ltr"
+ */
+const getEffectiveDir = element => {
+	observeDirChanges();
+
+	let node = element;
+
+	while (node && !isDocumentLevel(node)) {
+		if (node.nodeType === Node.ELEMENT_NODE && getDir(node)) {
+			return getDir(node);
+		}
+
+		node = node.parentNode || node.host;
+	}
+
+	if (!isRTLExplicit()) {
+		const documentDir = getDir(document.body) || getDir(document.documentElement);
+		if (documentDir) {
+			return documentDir;
+		}
+	}
+
+	return getRTL() ? "rtl" : "ltr";
+};
+
+export default getEffectiveDir;
@@ -0,0 +1,70 @@
+const escapes = {
+	"t": "\t",
+	"n": "\n",
+	"r": "\r",
+	"f": "\f",
+};
+
+const keyValueRegEX = /^((?:\\[\s\S]|[^\\=:\s])*)[ \t\f]*(?:[=:][ \t\f]*)?([\s\S]*)$/;
+
+/**
+ * Resolves the escape sequences: "\t", "\n", "\r", "\f", unicode escapes ("\u00e4") and escaped characters ("\=" -> "=")
+ */
+const unescape = text => {
+	return text.replace(/\\(?:u([0-9a-fA-F]{4})|([\s\S]))/g, (match, code, char) => {
+		if (code) {
+			return String.fromCharCode(parseInt(code, 16));
+		}
+
+		return escapes[char] || char;
+	});
+};
+
+// A line is continued on the next one, when it ends with an odd number of backslashes
+const isContinued = line => {
+	const trailingBackslashes = line.match(/\\*$/)[0].length;
+	return trailingBackslashes % 2 === 1;
+};
+
+const addProperty = (properties, logicalLine) => {
+	const [, key, value] = logicalLine.match(keyValueRegEX);
+	properties[unescape(key)] = unescape(value);
+};
+
+/**
+ * Parses the content of a .properties file into an object with the keys and texts.
+ * Supports comments ("#" and "!"), the "=", ":" and whitespace separators, multi-line values and escape sequences.
+ *
+ * @param {string} text the content of the .properties file
+ * @returns {Object}
+ */
+const parseProperties = text => {
+	const properties = {};
+	let logicalLine = "";
+
+	text.split(/\r\n|\r|\n/).forEach(line => {
+		// the leading whitespace is ignored, also for the continuation lines
+		line = line.replace(/^[ \t\f]+/, "");
+
+		if (!logicalLine && (!line || line[0] === "#" || line[0] === "!")) {
+			return;
+		}
+
+		if (isContinued(line)) {
+			logicalLine += line.slice(0, -1);
+			return;
+		}
+
+		addProperty(properties, logicalLine + line);
+		logicalLine = "";
+	});
+
+	// the last line ends with a backslash
+	if (logicalLine) {
+		addProperty(properties, logicalLine);
+	}
+
+	return properties;
+};
+
+export default parseProperties;
@@ -0,0 +1,26 @@
+const PLAIN_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const ACCENTED_CHARS = "àƀçđéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÀƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ";
+
+// Translations are often much longer than the English texts - the pseudo-localized texts are expanded by 40%
+const EXPANSION_RATIO = 0.4;
+const EXPANSION_CHAR = "·";
+
+/**
+ * Pseudo-localizes a text: the latin letters are replaced with accented ones, the text is expanded by 40%
+ * and enclosed in brackets, so that truncated texts are noticeable, f.e. "Save" -> "[Šàṽé ··]"
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const pseudoLocalize = text => {
+	if (!text) {
+		return text;
+	}
+
+	const accented = text.replace(/[a-zA-Z]/g, char => ACCENTED_CHARS[PLAIN_CHARS.indexOf(char)]);
+	const expansion = new Array(Math.ceil(text.length * EXPANSION_RATIO) + 1).join(EXPANSION_CHAR);
+
+	return `[${accented} ${expansion}]`;
+};
+
+export default pseudoLocalize;
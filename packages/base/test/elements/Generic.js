@@ -1,5 +1,6 @@
 import UI5Element from "../../UI5Element.js";
 import litRender, { html } from "../../renderer/LitRenderer.js";
+import Float from "../../types/Float.js";
 
 const metadata = {
 	tag: "ui5-test-generic",
@@ -12,6 +13,10 @@ const metadata = {
 		},
 		objectProp: {
 			type: Object,
+			jsonAttribute: true,
+		},
+		stateProp: {
+			type: Object,
 		},
 		noAttributeProp: {
 			type: String,
@@ -24,7 +29,14 @@ const metadata = {
 		defaultValueProp: {
 			type: String,
 			defaultValue: "Hello",
-		}
+		},
+		floatProp: {
+			type: Float,
+			defaultValue: 1.5,
+		},
+		arrayProp: {
+			type: Array,
+		},
 	},
 	slots: {
 		default: {
@@ -0,0 +1,56 @@
+import UI5Element from "../../UI5Element.js";
+import litRender, { html, repeat, classMap } from "../../renderer/LitRenderer.js";
+import ifDefined from "../../renderer/ifDefined.js";
+
+const metadata = {
+	tag: "ui5-test-with-bindings",
+	properties: {
+		text: {
+			type: String,
+		},
+		active: {
+			type: Boolean,
+		},
+		// comma-separated list of entries
+		entries: {
+			type: String,
+		},
+	},
+	slots: {
+		default: {
+			type: Node,
+		},
+	},
+};
+
+class WithBindings extends UI5Element {
+	static get metadata() {
+		return metadata;
+	}
+
+	static get render() {
+		return litRender;
+	}
+
+	static get template() {
+		return element => {
+			return html`<div class="${ifDefined(classMap({ "with-bindings-active": element.active }))}" title="${ifDefined(element.text)}">
+				<span>${element.text}</span>
+				<ul>${repeat(element._entries, undefined, entry => html`<li>${entry}</li>`)}</ul>
+				<slot></slot>
+			</div>`;
+		};
+	}
+
+	get _entries() {
+		return this.entries ? this.entries.split(",") : [];
+	}
+
+	static get styles() {
+		return `:host { display: block; }`;
+	}
+}
+
+WithBindings.define();
+
+export default WithBindings;
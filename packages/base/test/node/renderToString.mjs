@@ -0,0 +1,44 @@
+// Renders the test elements to strings in Node.js, without a DOM, the way a server would.
+// Runs against the built test resources: node dist/test-resources/node/renderToString.mjs
+import assert from "assert";
+import "../../renderer/ServerEnvironment.js";
+import "../elements/Generic.js";
+import "../elements/WithBindings.js";
+import renderToString from "../../renderer/renderToString.js";
+
+const tests = {
+	async "renders the shadow DOM in a template"() {
+		const html = await renderToString("ui5-test-generic", { lightDOM: "<span>light</span>" });
+
+		assert.ok(html.startsWith(`<ui5-test-generic><template shadowroot="open"><style>`), "The shadow root and styles are rendered");
+		assert.ok(html.includes(`<slot name="other"></slot>`), "The template is rendered");
+		assert.ok(html.endsWith("</template><span>light</span></ui5-test-generic>"), "The light DOM is rendered");
+	},
+
+	async "renders the properties and the template bindings"() {
+		const html = await renderToString("ui5-test-with-bindings", { properties: { text: "Hello <b>", active: true, entries: ["a", "b"] } });
+
+		assert.ok(html.startsWith(`<ui5-test-with-bindings text="Hello <b>" active entries="a,b"><template shadowroot="open">`), "The properties are rendered as attributes");
+		assert.ok(html.includes(`<div class="with-bindings-active" title="Hello <b>">`), "The attribute bindings and directives are rendered");
+		assert.ok(html.includes("Hello &lt;b&gt;"), "The text is rendered and escaped");
+		assert.strictEqual(html.match(/<li>/g).length, 2, "The list items are rendered");
+	},
+};
+
+const run = async () => {
+	let failed = 0;
+
+	for (const [name, test] of Object.entries(tests)) {
+		try {
+			await test();
+			console.log(`  ✓ ${name}`);
+		} catch (e) {
+			failed++;
+			console.error(`  ✗ ${name}\n${e.stack}`);
+		}
+	}
+
+	process.exit(failed ? 1 : 0);
+};
+
+run();
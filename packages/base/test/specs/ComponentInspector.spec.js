@@ -0,0 +1,81 @@
+const assert = require("chai").assert;
+
+describe("Component inspector", () => {
+	before(() => {
+		browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+	});
+
+	it("Tests that live instances are tracked", () => {
+		const res = browser.execute(() => {
+			const inspector = window["sap-ui-webcomponents-inspector"];
+			const el = document.getElementById("gen");
+
+			return inspector.getInstances().includes(el);
+		});
+
+		assert.ok(res, "The component is tracked");
+	});
+
+	it("Tests that renderings and their reasons are tracked", () => {
+		const res = browser.executeAsync(async done => {
+			const inspector = window["sap-ui-webcomponents-inspector"];
+			const el = document.getElementById("gen");
+			const renderCount = inspector.getStats(el).renderCount;
+
+			el.strProp = "inspected";
+			el.boolProp = !el.boolProp;
+			await window.RenderScheduler.whenFinished();
+
+			const stats = inspector.getStats(el);
+			const lastRender = stats.renders[stats.renders.length - 1];
+
+			return done({
+				newRenders: stats.renderCount - renderCount,
+				reasons: lastRender.reasons.map(reason => `${reason.type}:${reason.name}`),
+				hasDuration: typeof lastRender.duration === "number",
+				hasMeasure: performance.getEntriesByName(`${el.localName}#${el._id} render`).length > 0,
+			});
+		});
+
+		assert.strictEqual(res.newRenders, 1, "Rendered once");
+		assert.deepEqual(res.reasons, ["property:strProp", "property:boolProp"], "Both property changes are reported");
+		assert.ok(res.hasDuration, "The render duration is measured");
+		assert.ok(res.hasMeasure, "A performance measure entry is created");
+	});
+
+	it("Tests that the changed slots are reported as the invalidation reason", () => {
+		const res = browser.executeAsync(async done => {
+			const inspector = window["sap-ui-webcomponents-inspector"];
+			const el = document.getElementById("gen");
+
+			const child = document.createElement("span");
+			child.setAttribute("slot", "other");
+			el.appendChild(child);
+			await window.RenderScheduler.whenFinished();
+
+			const stats = inspector.getStats(el);
+			const lastRender = stats.renders[stats.renders.length - 1];
+			el.removeChild(child);
+			await window.RenderScheduler.whenFinished();
+
+			return done(lastRender.reasons.map(reason => `${reason.type}:${reason.name}`));
+		});
+
+		assert.deepEqual(res, ["slot:other"], "The slot of the added child is reported");
+	});
+
+	it("Tests that only the last render measure of a component is kept", () => {
+		const res = browser.executeAsync(async done => {
+			const el = document.getElementById("gen");
+
+			for (let i = 0; i < 5; i++) {
+				el.strProp = `measured ${i}`;
+				await window.RenderScheduler.whenFinished();
+			}
+
+			return done(performance.getEntriesByName(`${el.localName}#${el._id} render`).length);
+		});
+
+		assert.strictEqual(res, 1, "The previous measures are cleared");
+	});
+});
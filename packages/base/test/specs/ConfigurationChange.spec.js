@@ -14,6 +14,17 @@ describe("Some configuration options can be changed at runtime", () => {
 		assert.strictEqual(res, newTheme, "Theme changed to HCB");
 	});
 
+	it("Tests that language can be changed", () => {
+		const newLanguage = 'de';
+
+		const res = browser.executeAsync( async (newLanguage, done) => {
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			await config.setLanguage(newLanguage);
+			return done(config.getLanguage());
+		}, newLanguage);
+		assert.strictEqual(res, newLanguage, "Language changed to German");
+	});
+
 	it("Tests that noConflict can be changed", () => {
 		const res = browser.execute( () => {
 			const config = window['sap-ui-webcomponents-bundle'].configuration;
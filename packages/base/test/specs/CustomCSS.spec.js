@@ -0,0 +1,27 @@
+const assert = require("chai").assert;
+
+describe("Custom CSS can be added and removed", () => {
+	browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+
+	const getBorderWidth = () => browser.execute(() => getComputedStyle(document.getElementById("gen")).borderTopWidth);
+
+	it("Tests that custom CSS is applied to already rendered components", () => {
+		browser.executeAsync(async done => {
+			window.Theming.addCustomCSS("ui5-test-generic", ":host { border-width: 3px; }");
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+
+		assert.strictEqual(getBorderWidth(), "3px", "Custom CSS is applied");
+	});
+
+	it("Tests that custom CSS is removed from already rendered components", () => {
+		browser.executeAsync(async done => {
+			window.Theming.removeCustomCSS("ui5-test-generic", ":host { border-width: 3px; }");
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+
+		assert.strictEqual(getBorderWidth(), "1px", "Custom CSS is removed");
+	});
+});
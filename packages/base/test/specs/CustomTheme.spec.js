@@ -22,4 +22,35 @@ describe("Custom themes can be registered", () => {
 		assert.strictEqual(res, true, "Theme parameters changed");
 	});
 
+	it("Tests that a derived theme extends the base theme with the overridden parameters", () => {
+		const res = browser.executeAsync( async done => {
+			window.registerDerivedTheme("my_derived_theme", "sap_belize", { "--var2": "#123456" });
+
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			await config.setTheme("my_derived_theme");
+
+			const style = document.querySelector(`style[data-ui5-theme-properties="@ui5/webcomponents-base-test"]`);
+			return done({
+				baseVarsFound: style.textContent.includes("--var1: blue"),
+				overriddenVarsFound: style.textContent.includes("--var2: #123456"),
+			});
+		});
+
+		assert.strictEqual(res.baseVarsFound, true, "Parameters of the base theme are applied");
+		assert.strictEqual(res.overriddenVarsFound, true, "Overridden parameters are applied");
+	});
+
+	it("Tests that a theme can not be derived from itself", () => {
+		const res = browser.execute(() => {
+			window.registerDerivedTheme("my_derived_theme_2", "my_derived_theme");
+			try {
+				window.registerDerivedTheme("my_derived_theme", "my_derived_theme_2");
+			} catch (e) {
+				return true;
+			}
+			return false;
+		});
+
+		assert.strictEqual(res, true, "Circular dependency detected");
+	});
 });
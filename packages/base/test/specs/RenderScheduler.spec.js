@@ -0,0 +1,146 @@
+const assert = require("chai").assert;
+
+describe("Rendering is split into frames", () => {
+	before(() => {
+		browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+	});
+
+	it("Tests that whenFinished resolves only after all components are rendered", () => {
+		const res = browser.executeAsync( async done => {
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			const originalRenderBudget = config.getRenderBudget();
+			config.setRenderBudget(1);
+
+			const container = document.createElement("div");
+			for (let i = 0; i < 500; i++) {
+				container.appendChild(document.createElement("ui5-test-generic"));
+			}
+			document.body.appendChild(container);
+
+			await window.RenderScheduler.whenFinished();
+
+			const notRendered = Array.from(container.children).filter(el => !el.getDomRef());
+			document.body.removeChild(container);
+			config.setRenderBudget(originalRenderBudget);
+
+			return done(notRendered.length);
+		});
+
+		assert.strictEqual(res, 0, "All components are rendered");
+	});
+
+	it("Tests that the components are rendered right away, when attached to the DOM", () => {
+		const res = browser.executeAsync( async done => {
+			// animation frames are not fired in background tabs
+			const requestAnimationFrame = window.requestAnimationFrame;
+			window.requestAnimationFrame = () => 0;
+
+			const el = document.createElement("ui5-test-generic");
+			document.body.appendChild(el);
+			await Promise.race([el._domRefReadyPromise, new Promise(resolve => setTimeout(resolve, 500))]);
+
+			window.requestAnimationFrame = requestAnimationFrame;
+			const rendered = !!el.getDomRef();
+			document.body.removeChild(el);
+
+			return done(rendered);
+		});
+
+		assert.ok(res, "The component is rendered without an animation frame");
+	});
+
+	it("Tests that the components in the viewport are re-rendered first", () => {
+		const res = browser.executeAsync( async done => {
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			const originalRenderBudget = config.getRenderBudget();
+			config.setRenderBudget(1);
+
+			// the components below the viewport come first in the DOM
+			const belowViewport = document.createElement("div");
+			belowViewport.style.cssText = "position: absolute; top: 10000px;";
+			for (let i = 0; i < 100; i++) {
+				belowViewport.appendChild(document.createElement("ui5-test-generic"));
+			}
+
+			const inViewport = document.createElement("div");
+			inViewport.style.cssText = "position: fixed; top: 0; left: 0;";
+			const visibleElement = document.createElement("ui5-test-generic");
+			inViewport.appendChild(visibleElement);
+
+			document.body.appendChild(belowViewport);
+			document.body.appendChild(inViewport);
+			await window.RenderScheduler.whenFinished();
+
+			const elements = Array.from(belowViewport.children).concat(visibleElement);
+			const renderOrder = [];
+			elements.forEach(el => {
+				const render = el._render;
+				el._render = function () {
+					renderOrder.push(this);
+					return render.apply(this, arguments);
+				};
+			});
+
+			await window.RenderScheduler.reRenderAllUI5Elements(el => elements.includes(el));
+
+			const result = {
+				visibleIndex: renderOrder.indexOf(visibleElement),
+				renderedCount: new Set(renderOrder).size,
+			};
+			document.body.removeChild(belowViewport);
+			document.body.removeChild(inViewport);
+			config.setRenderBudget(originalRenderBudget);
+
+			return done(result);
+		});
+
+		assert.strictEqual(res.renderedCount, 101, "All components are re-rendered");
+		assert.strictEqual(res.visibleIndex, 0, "The component in the viewport is re-rendered first");
+	});
+
+	it("Tests that the rendering continues after a component failed to render", () => {
+		const res = browser.executeAsync( async done => {
+			const failing = document.createElement("ui5-test-generic");
+			const other = document.createElement("ui5-test-generic");
+			document.body.appendChild(failing);
+			document.body.appendChild(other);
+			await window.RenderScheduler.whenFinished();
+
+			const render = failing._render;
+			failing._render = () => {
+				failing._render = render;
+				throw new Error("Rendering failed");
+			};
+			failing._invalidate();
+			await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+			let rendered = false;
+			const otherRender = other._render;
+			other._render = function () {
+				rendered = true;
+				return otherRender.apply(this, arguments);
+			};
+			other._invalidate();
+			await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+			document.body.removeChild(failing);
+			document.body.removeChild(other);
+			return done(rendered);
+		});
+
+		assert.ok(res, "The next invalidation is rendered");
+	});
+
+	it("Tests that the render budget is validated", () => {
+		const res = browser.execute( () => {
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			try {
+				config.setRenderBudget(-5);
+			} catch (err) {
+				return config.getRenderBudget();
+			}
+		});
+
+		assert.isAbove(res, 0, "Invalid render budget is not applied");
+	});
+});
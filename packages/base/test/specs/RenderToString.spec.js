@@ -0,0 +1,121 @@
+const assert = require("chai").assert;
+
+describe("Rendering to declarative shadow DOM works", () => {
+	before(() => {
+		browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+	});
+
+	it("Tests that the shadow DOM is rendered in a template", () => {
+		const res = browser.executeAsync(async done => {
+			const html = await window.renderToString("ui5-test-generic", { lightDOM: "<span>light</span>" });
+			return done(html);
+		});
+
+		assert.ok(res.startsWith("<ui5-test-generic"), "The tag is rendered");
+		assert.ok(res.includes(`<template shadowroot="open"><style>`), "The shadow root and styles are rendered");
+		assert.ok(res.includes("<span>light</span></ui5-test-generic>"), "The light DOM is rendered");
+	});
+
+	it("Tests that the properties and the template bindings are rendered", () => {
+		const res = browser.executeAsync(async done => {
+			const html = await window.renderToString("ui5-test-with-bindings", { properties: { text: "Hello <b>", active: true, entries: "a,b" } });
+			return done(html);
+		});
+
+		assert.ok(res.startsWith(`<ui5-test-with-bindings text="Hello <b>" active entries="a,b">`), "The properties are rendered as attributes");
+		assert.ok(res.includes(`<div class="with-bindings-active" title="Hello <b>">`), "The attribute bindings and directives are rendered");
+		assert.ok(res.includes("Hello &lt;b&gt;"), "The text is rendered and escaped");
+		assert.strictEqual(res.match(/<li>/g).length, 2, "The list items are rendered");
+	});
+
+	it("Tests that a server-rendered shadow root is adopted", () => {
+		const res = browser.executeAsync(async done => {
+			const html = await window.renderToString("ui5-test-generic");
+			const container = document.createElement("div");
+			container.innerHTML = html;
+			document.body.appendChild(container);
+
+			const el = container.firstElementChild;
+			await window.RenderScheduler.whenFinished();
+			return done(!!el.shadowRoot && !el.querySelector("template") && !!el.getDomRef());
+		});
+
+		assert.ok(res, "The element has a rendered shadow root and no template in the light DOM");
+	});
+
+	it("Tests that the server-rendered nodes are hydrated, not recreated", () => {
+		const res = browser.executeAsync(async done => {
+			const html = await window.renderToString("ui5-test-with-bindings", { properties: { text: "Hello", active: true, entries: "a,b" } });
+			const container = document.createElement("div");
+			container.innerHTML = html;
+			document.body.appendChild(container);
+
+			const el = container.firstElementChild;
+			const shadowRoot = el.shadowRoot;
+			const div = shadowRoot.querySelector("div");
+			const text = shadowRoot.querySelector("span").firstChild.nextSibling;
+			const items = Array.from(shadowRoot.querySelectorAll("li"));
+
+			await window.RenderScheduler.whenFinished();
+			const afterRendering = {
+				sameDiv: shadowRoot.querySelector("div") === div,
+				sameText: shadowRoot.querySelector("span").contains(text),
+				sameItems: Array.from(shadowRoot.querySelectorAll("li")).every((item, i) => item === items[i]),
+				partComments: shadowRoot.innerHTML.includes("ui5-part"),
+			};
+
+			el.text = "Bye";
+			el.active = false;
+			el.entries = "a,c,d";
+			await window.RenderScheduler.whenFinished();
+			const afterUpdate = {
+				sameDiv: shadowRoot.querySelector("div") === div,
+				sameText: shadowRoot.querySelector("span").contains(text),
+				text: shadowRoot.querySelector("span").textContent,
+				className: div.className,
+				title: div.getAttribute("title"),
+				items: Array.from(shadowRoot.querySelectorAll("li")).map(item => item.textContent),
+				sameFirstItem: shadowRoot.querySelector("li") === items[0],
+			};
+
+			container.remove();
+			return done({ afterRendering, afterUpdate });
+		});
+
+		assert.ok(res.afterRendering.sameDiv, "The server-rendered element is kept");
+		assert.ok(res.afterRendering.sameText, "The server-rendered text node is kept");
+		assert.ok(res.afterRendering.sameItems, "The server-rendered list items are kept");
+		assert.notOk(res.afterRendering.partComments, "The part comments of the server-rendered content are removed");
+
+		assert.ok(res.afterUpdate.sameDiv, "The hydrated element is updated in place");
+		assert.ok(res.afterUpdate.sameText, "The hydrated text node is updated in place");
+		assert.strictEqual(res.afterUpdate.text, "Bye", "The text is updated");
+		assert.strictEqual(res.afterUpdate.className, "", "The class is updated");
+		assert.strictEqual(res.afterUpdate.title, "Bye", "The attribute is updated");
+		assert.deepEqual(res.afterUpdate.items, ["a", "c", "d"], "The list is updated");
+		assert.ok(res.afterUpdate.sameFirstItem, "The hydrated list items are updated in place");
+	});
+
+	it("Tests that server-rendered content, which does not match the state of the component, is rendered from scratch", () => {
+		const res = browser.executeAsync(async done => {
+			const html = await window.renderToString("ui5-test-with-bindings", { properties: { entries: "a,b" } });
+			const container = document.createElement("div");
+			container.innerHTML = html;
+			container.firstElementChild.removeAttribute("entries");
+			document.body.appendChild(container);
+
+			const el = container.firstElementChild;
+			await window.RenderScheduler.whenFinished();
+			const result = {
+				items: el.shadowRoot.querySelectorAll("li").length,
+				partComments: el.shadowRoot.innerHTML.includes("ui5-part"),
+			};
+
+			container.remove();
+			return done(result);
+		});
+
+		assert.strictEqual(res.items, 0, "The component is rendered with its own state");
+		assert.notOk(res.partComments, "The server-rendered content is removed");
+	});
+});
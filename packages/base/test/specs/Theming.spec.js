@@ -28,4 +28,30 @@ describe("Theming works", () => {
 		assert.strictEqual(res, true, "Theme parameters changed");
 	});
 
+	it("Tests that the theme follows the color scheme, preferred by the user, in auto mode", () => {
+		const res = browser.executeAsync(async done => {
+			const config = window['sap-ui-webcomponents-bundle'].configuration;
+			const getVarsFound = value => document.querySelector(`style[data-ui5-theme-properties="@ui5/webcomponents-base-test"]`).textContent.includes(value);
+
+			// the same theme for all color schemes, as the color scheme of the test browser is not known
+			await config.setAutoThemeMapping({ light: "sap_belize", dark: "sap_belize", contrast: "sap_belize" });
+			await config.setTheme("auto");
+			const autoTheme = config.getTheme();
+			const autoThemeVarsFound = getVarsFound("--var1: blue");
+
+			await config.setAutoThemeMapping({ light: "sap_fiori_3_dark", dark: "sap_fiori_3_dark", contrast: "sap_fiori_3_dark" });
+
+			return done({
+				autoTheme,
+				autoThemeVarsFound,
+				changedTheme: config.getTheme(),
+				changedThemeVarsFound: getVarsFound("--var1: green"),
+			});
+		});
+
+		assert.strictEqual(res.autoTheme, "sap_belize", "The theme for the preferred color scheme is used");
+		assert.strictEqual(res.autoThemeVarsFound, true, "The theme parameters are applied");
+		assert.strictEqual(res.changedTheme, "sap_fiori_3_dark", "The theme changes with the mapping");
+		assert.strictEqual(res.changedThemeVarsFound, true, "The theme parameters are changed");
+	});
 });
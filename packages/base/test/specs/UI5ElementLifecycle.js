@@ -90,4 +90,33 @@ describe("Lifecycle works", () => {
 		assert.strictEqual(res[0], "onExitDOM", "onExitDOM called");
 	});
 
+	it("Tests that delegates are attached and detached with the element", () => {
+
+		const res = browser.executeAsync( async (done) => {
+			const calls = [];
+			const delegate = {
+				attach: () => calls.push("attach"),
+				detach: () => calls.push("detach"),
+			};
+
+			const el = document.createElement("ui5-test-generic");
+			el.addDelegate(delegate);
+
+			document.body.appendChild(el);
+			await window.RenderScheduler.whenFinished();
+
+			document.body.removeChild(el);
+
+			document.body.appendChild(el);
+			await window.RenderScheduler.whenFinished();
+
+			el.removeDelegate(delegate);
+			document.body.removeChild(el);
+
+			return done(calls);
+		});
+
+		assert.deepEqual(res, ["attach", "detach", "attach", "detach"], "The delegate follows the lifecycle of the element until removed");
+	});
+
 });
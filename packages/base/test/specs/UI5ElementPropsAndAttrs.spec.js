@@ -49,6 +49,96 @@ describe("Properties and attributes convert to each other", () => {
 		assert.strictEqual(el.getAttribute("multi-prop"), null, "Attribute not there");
 	});
 
+	it("Tests that prop-attr conversion works for float properties", () => {
+		const el = browser.$("#gen");
+
+		el.setProperty("floatProp", 2.75);
+		assert.strictEqual(el.getAttribute("float-prop"), "2.75", "Attribute affected by property change");
+
+		el.setAttribute("float-prop", "0.125");
+		assert.strictEqual(el.getProperty("floatProp"), 0.125, "Property affected by attribute change");
+
+		el.setAttribute("float-prop", "not a number");
+		assert.strictEqual(el.getProperty("floatProp"), 1.5, "Invalid value replaced by the default value");
+	});
+
+	it("Tests that object, array and multiple properties can be set with JSON attributes", () => {
+		const res = browser.execute(() => {
+			const el = document.getElementById("gen");
+
+			el.setAttribute("object-prop", '{"key": "value"}');
+			el.setAttribute("array-prop", '[1, "two", {"three": 3}]');
+			el.setAttribute("multi-prop", '["a", "b"]');
+
+			return {
+				objectProp: el.objectProp,
+				arrayProp: el.arrayProp,
+				multiProp: el.multiProp,
+			};
+		});
+
+		assert.deepEqual(res.objectProp, { key: "value" }, "Object property set from JSON");
+		assert.deepEqual(res.arrayProp, [1, "two", { three: 3 }], "Array property set from JSON");
+		assert.deepEqual(res.multiProp, ["a", "b"], "Multiple property set from JSON");
+	});
+
+	it("Tests that object properties without jsonAttribute are not observed", () => {
+		const res = browser.execute(() => {
+			const el = document.getElementById("gen");
+			const observedAttributes = el.constructor.observedAttributes;
+
+			el.setAttribute("state-prop", '{"key": "value"}');
+			const stateProp = el.stateProp;
+			el.removeAttribute("state-prop");
+
+			return {
+				observesStateProp: observedAttributes.includes("state-prop"),
+				observesObjectProp: observedAttributes.includes("object-prop"),
+				stateProp,
+			};
+		});
+
+		assert.notOk(res.observesStateProp, "Object property without jsonAttribute is not observed");
+		assert.ok(res.observesObjectProp, "Object property with jsonAttribute is observed");
+		assert.deepEqual(res.stateProp, {}, "Property not affected by attribute change");
+	});
+
+	it("Tests that removing a JSON attribute restores the default value", () => {
+		const res = browser.execute(() => {
+			const el = document.getElementById("gen");
+
+			el.setAttribute("object-prop", '{"key": "value"}');
+			el.setAttribute("array-prop", "[1, 2]");
+			el.removeAttribute("object-prop");
+			el.removeAttribute("array-prop");
+
+			return {
+				objectProp: el.objectProp,
+				arrayProp: el.arrayProp,
+			};
+		});
+
+		assert.deepEqual(res.objectProp, {}, "Object property has its default value");
+		assert.deepEqual(res.arrayProp, [], "Array property has its default value");
+	});
+
+	it("Tests that a warning is logged when an invalid value is replaced by the default value", () => {
+		const res = browser.execute(() => {
+			const el = document.getElementById("gen");
+			const warnings = [];
+			const originalWarn = console.warn;
+			console.warn = message => warnings.push(message);
+
+			el.arrayProp = "not an array";
+			el.setAttribute("object-prop", "{not json}");
+
+			console.warn = originalWarn;
+			return warnings.length;
+		});
+
+		assert.strictEqual(res, 2, "Both invalid values are reported");
+	});
+
 	it("Tests that noAttribute properties have no attributes", () => {
 		const el = browser.$("#gen");
 
@@ -31,4 +31,57 @@ describe("Slots work properly", () => {
 		assert.strictEqual(browser.$$("#withContent>[slot=individual-2]").length, 1, "The slot of the second child became individual-2");
 	});
 
+	it("Tests that adding and removing children keeps the light DOM order", () => {
+		const res = browser.executeAsync(async done => {
+			const el = document.getElementById("gen");
+
+			const first = document.createElement("div");
+			const second = document.createElement("div");
+			const third = document.createElement("div");
+			first.setAttribute("slot", "other");
+			second.setAttribute("slot", "other");
+			third.setAttribute("slot", "other");
+
+			el.appendChild(first);
+			el.appendChild(third);
+			await window.RenderScheduler.whenFinished();
+
+			el.insertBefore(second, third);
+			await window.RenderScheduler.whenFinished();
+			const afterInsert = el.other.map(child => [first, second, third].indexOf(child));
+
+			el.removeChild(first);
+			await window.RenderScheduler.whenFinished();
+			const afterRemove = el.other.map(child => [first, second, third].indexOf(child));
+
+			el.removeChild(second);
+			el.removeChild(third);
+			await window.RenderScheduler.whenFinished();
+
+			return done({ afterInsert, afterRemove, afterClear: el.other.length });
+		});
+
+		assert.deepEqual(res.afterInsert, [0, 1, 2], "The inserted child is in the middle");
+		assert.deepEqual(res.afterRemove, [1, 2], "The removed child is not slotted anymore");
+		assert.strictEqual(res.afterClear, 0, "All children are removed");
+	});
+
+	it("Tests that individual slots are recalculated when a child is added", () => {
+		const res = browser.executeAsync(async done => {
+			const el = document.getElementById("withContent");
+
+			const newChild = document.createElement("span");
+			newChild.setAttribute("slot", "individual");
+			el.insertBefore(newChild, el.firstChild);
+			await window.RenderScheduler.whenFinished();
+
+			const slots = el.individual.map(child => child.getAttribute("slot"));
+			el.removeChild(newChild);
+			await window.RenderScheduler.whenFinished();
+
+			return done(slots);
+		});
+
+		assert.deepEqual(res, ["individual-1", "individual-2", "individual-3"], "The individual slots are in the light DOM order");
+	});
 });
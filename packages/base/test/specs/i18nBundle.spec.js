@@ -0,0 +1,34 @@
+const assert = require("chai").assert;
+
+describe("i18nBundle formats plural and select texts", () => {
+	browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+
+	const getTexts = (key, defaultText, values) => browser.execute((key, defaultText, values) => {
+		window.setI18nBundleData("test-app", {
+			PLURAL: "{0, plural, =0 {No items} one {# item} other {# items}}",
+			SELECT: "{0, select, female {She has {1, plural, one {# book} other {# books}}} male {He has {1} books} other {They have {1} books}}",
+		});
+		const bundle = window.getI18nBundle("test-app");
+		return values.map(params => bundle.getText({ key, defaultText }, ...params));
+	}, key, defaultText, values);
+
+	it("Tests exact values and plural categories", () => {
+		const texts = getTexts("PLURAL", "Items", [[0], [1], [5]]);
+		assert.deepEqual(texts, ["No items", "1 item", "5 items"], "The matching plural option is used");
+	});
+
+	it("Tests select with a nested plural", () => {
+		const texts = getTexts("SELECT", "Books", [["female", 1], ["male", 2], ["x", 3]]);
+		assert.deepEqual(texts, ["She has 1 book", "He has 2 books", "They have 3 books"], "The matching select option is used");
+	});
+
+	it("Tests that default texts are formatted as well", () => {
+		const texts = getTexts("MISSING", "{0, plural, one {# file} other {# files}} of {1}", [[1, 10], [2, 10]]);
+		assert.deepEqual(texts, ["1 file of 10", "2 files of 10"], "The default text is formatted");
+	});
+
+	it("Tests that apostrophes escape braces and '#'", () => {
+		const texts = getTexts("MISSING", "{0, plural, other {'{#}' is #}} isn''t '{0}'", [[4]]);
+		assert.deepEqual(texts, ["{#} is 4 isn't {0}"], "Quoted text is not formatted");
+	});
+});
@@ -0,0 +1,35 @@
+const assert = require("chai").assert;
+
+describe("i18nBundle loads app texts from .properties files", () => {
+	browser.url("http://localhost:9191/test-resources/pages/AllTestElements.html");
+
+	const getTexts = language => browser.executeAsync(async (language, done) => {
+		window.registerI18nBundle("test-properties", "../assets/i18n/messagebundle.properties");
+		await window["sap-ui-webcomponents-bundle"].configuration.setLanguage(language);
+		await window.fetchI18nBundle("test-properties");
+
+		const bundle = window.getI18nBundle("test-properties");
+		done({
+			greeting: bundle.getText({ key: "GREETING", defaultText: "Default {0}" }, "John"),
+			multiline: bundle.getText({ key: "MULTILINE", defaultText: "Default" }),
+			umlauts: bundle.getText({ key: "UMLAUTS", defaultText: "Default" }),
+			escaped: bundle.getText({ key: "ESCAPED", defaultText: "Default" }),
+		});
+	}, language);
+
+	it("Tests that the file for the fallback locale is used", () => {
+		const texts = getTexts("de-CH");
+
+		assert.strictEqual(texts.greeting, "Hallo John", "The German text is used for de-CH");
+		assert.strictEqual(texts.multiline, "Erste Zeile, zweite Zeile", "Continuation lines are joined");
+		assert.strictEqual(texts.umlauts, "Grüße", "Unicode escapes are resolved");
+	});
+
+	it("Tests that the file without locale is used as last fallback", () => {
+		const texts = getTexts("fr");
+
+		assert.strictEqual(texts.greeting, "Hello John", "The text without locale is used for fr");
+		assert.strictEqual(texts.escaped, "Tab\there, key=value", "Escape sequences are resolved");
+		assert.strictEqual(texts.umlauts, "Default", "The default text is used for missing keys");
+	});
+});
@@ -61,6 +61,7 @@ class ProductSwitch extends UI5Element {
 		super();
 
 		this.initItemNavigation();
+		ResizeHandler.observe(this, this._handleResize.bind(this), document.body);
 	}
 
 	initItemNavigation() {
@@ -91,16 +92,6 @@ class ProductSwitch extends UI5Element {
 		};
 	}
 
-	onEnterDOM() {
-		this._handleResizeBound = this._handleResize.bind(this);
-
-		ResizeHandler.register(document.body, this._handleResizeBound);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(document.body, this._handleResizeBound);
-	}
-
 	onBeforeRendering() {
 		this.desktopColumns = this.items.length > 6 ? 4 : 3;
 	}
@@ -6,7 +6,10 @@ import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
 import AnimationMode from "@ui5/webcomponents-base/dist/types/AnimationMode.js";
 import { getAnimationMode } from "@ui5/webcomponents-base/dist/config/AnimationMode.js";
 import { isSpace, isEscape } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
+import { fetchCldr } from "@ui5/webcomponents-base/dist/asset-registries/LocaleData.js";
+import { getLocale } from "@ui5/webcomponents-base/dist/LocaleProvider.js";
+import { formatInteger } from "@ui5/webcomponents-base/dist/format/NumberFormat.js";
+import { getPseudoLocalizedText } from "@ui5/webcomponents-base/dist/config/PseudoLocalization.js";
 import StandardListItem from "@ui5/webcomponents/dist/StandardListItem.js";
 import List from "@ui5/webcomponents/dist/List.js";
 import Popover from "@ui5/webcomponents/dist/Popover.js";
@@ -66,6 +69,7 @@ const metadata = {
 		/**
 		 * Defines the <code>notificationCount</code>,
 		 * displayed in the notification icon top-right corner.
+		 * Numeric counts are formatted according to the current locale, f.e. "1234" is displayed as "1.234" in German.
 		 * @type {string}
 		 * @defaultvalue: ""
 		 * @public
@@ -383,7 +387,7 @@ class ShellBar extends UI5Element {
 				if (this.menuItems.length) {
 					this._menuPopoverItems = [];
 					this.menuItems.forEach(item => {
-						this._menuPopoverItems.push(item.textContent);
+						this._menuPopoverItems.push(getPseudoLocalizedText(item.textContent));
 					});
 					this.updateStaticAreaItemContentDensity();
 					menuPopover.openBy(this.shadowRoot.querySelector(".ui5-shellbar-menu-button"));
@@ -443,10 +447,10 @@ class ShellBar extends UI5Element {
 			},
 		};
 
-		this._handleResize = event => {
+		ResizeHandler.observe(this, event => {
 			this.getStaticAreaItemDomRef().querySelector(".ui5-shellbar-overflow-popover").close();
 			this._overflowActions();
-		};
+		});
 	}
 
 	_menuItemPress(event) {
@@ -536,7 +540,7 @@ class ShellBar extends UI5Element {
 	_handleActionsOverflow() {
 		const rightContainerRect = this.shadowRoot.querySelector(".ui5-shellbar-overflow-container-right").getBoundingClientRect();
 		const icons = this.shadowRoot.querySelectorAll(".ui5-shellbar-button:not(.ui5-shellbar-overflow-button):not(.ui5-shellbar-invisible-button)");
-		const isRTL = getRTL();
+		const isRTL = this.effectiveDir === "rtl";
 
 		let overflowCount = [].filter.call(icons, icon => {
 			const iconRect = icon.getBoundingClientRect();
@@ -655,20 +659,12 @@ class ShellBar extends UI5Element {
 		}
 	}
 
-	onEnterDOM() {
-		ResizeHandler.register(this, this._handleResize);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(this, this._handleResize);
-	}
-
 	_handleSearchIconPress(event) {
 		const searchField = this.shadowRoot.querySelector(`#${this._id}-searchfield-wrapper`);
-		const triggeredByOverflow = event.target.tagName.toLowerCase() === "ui5-li";
+		const triggeredByOverflow = event.target.tagName.toLowerCase() === StandardListItem.getMetadata().getTag();
 		const overflowButton = this.shadowRoot.querySelector(".ui5-shellbar-overflow-button");
 		const overflowButtonRect = overflowButton.getBoundingClientRect();
-		const isRTL = getRTL();
+		const isRTL = this.effectiveDir === "rtl";
 		let right = "";
 
 		if (isRTL) {
@@ -760,7 +756,7 @@ class ShellBar extends UI5Element {
 					icon: item.icon,
 					id: item._id,
 					refItemid: item._id,
-					text: item.text,
+					text: getPseudoLocalizedText(item.text),
 					classes: "ui5-shellbar-custom-item ui5-shellbar-button",
 					priority: 1,
 					domOrder: (++domOrder),
@@ -847,12 +843,25 @@ class ShellBar extends UI5Element {
 	get styles() {
 		return {
 			searchField: {
-				[getRTL() ? "left" : "right"]: this._searchField.right,
+				[this.effectiveDir === "rtl" ? "left" : "right"]: this._searchField.right,
 				"top": `${parseInt(this._searchField.top)}px`,
 			},
 		};
 	}
 
+	get _notificationCountText() {
+		return /^\d+$/.test(this.notificationCount) ? formatInteger(parseInt(this.notificationCount)) : this.notificationCount;
+	}
+
+	// The titles, as displayed (pseudo-localized, if the pseudo-localization is turned on)
+	get _displayPrimaryTitle() {
+		return getPseudoLocalizedText(this.primaryTitle);
+	}
+
+	get _displaySecondaryTitle() {
+		return getPseudoLocalizedText(this.secondaryTitle);
+	}
+
 	get interactiveLogo() {
 		return this.breakpointSize === "S";
 	}
@@ -862,15 +871,16 @@ class ShellBar extends UI5Element {
 	}
 
 	get popoverHorizontalAlign() {
-		return getRTL() ? "Left" : "Right";
+		return this.effectiveDir === "rtl" ? "Left" : "Right";
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	static async onDefine() {
 		await Promise.all([
+			fetchCldr(getLocale().getLanguage(), getLocale().getRegion(), getLocale().getScript()),
 			Icon.define(),
 			List.define(),
 			Popover.define(),
@@ -358,3 +358,34 @@ describe("Component Behavior", () => {
 		});
 	});
 });
+
+describe("Pseudo-localization", () => {
+	before(() => {
+		browser.url("http://localhost:8081/test-resources/pages/ShellBar.html");
+	});
+
+	const setPseudoLocalization = pseudoLocalization => {
+		browser.executeAsync(async (pseudoLocalization, done) => {
+			await window["sap-ui-webcomponents-bundle"].configuration.setPseudoLocalization(pseudoLocalization);
+			done();
+		}, pseudoLocalization);
+	};
+
+	it("pseudo-localizes the titles, set by the app", () => {
+		browser.setWindowSize(1920, 1080);
+		setPseudoLocalization(true);
+
+		const primaryTitle = browser.$("#shellbar").shadow$(".ui5-shellbar-menu-button-title").getText();
+		const secondaryTitle = browser.$("#shellbar").shadow$(".ui5-shellbar-secondary-title").getText();
+
+		assert.strictEqual(primaryTitle, "[Þŕöđûçţ Ţîţļé ······]", "The primary title is pseudo-localized");
+		assert.strictEqual(secondaryTitle, "[Šéçöñđ ţîţļé ·····]", "The secondary title is pseudo-localized");
+	});
+
+	it("restores the titles when turned off", () => {
+		setPseudoLocalization(false);
+
+		assert.strictEqual(browser.$("#shellbar").shadow$(".ui5-shellbar-menu-button-title").getText(), "Product Title", "The primary title is restored");
+		assert.strictEqual(browser.$("#shellbar").shadow$(".ui5-shellbar-secondary-title").getText(), "Second title", "The secondary title is restored");
+	});
+});
@@ -4,18 +4,30 @@ import "@ui5/webcomponents-base/dist/features/browsersupport/IE11.js";
 import "./bundle.esm.js";
 
 import { getAnimationMode } from "@ui5/webcomponents-base/dist/config/AnimationMode.js";
+import { getContentDensity, setContentDensity } from "@ui5/webcomponents-base/dist/config/ContentDensity.js";
+import { getLanguage, setLanguage } from "@ui5/webcomponents-base/dist/config/Language.js";
 import { getTheme, setTheme } from "@ui5/webcomponents-base/dist/config/Theme.js";
 import { setNoConflict } from "@ui5/webcomponents-base/dist/config/NoConflict.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
-import { getFirstDayOfWeek } from "@ui5/webcomponents-base/dist/config/FormatSettings.js";
+import { getRTL, setRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
+import { getFirstDayOfWeek, getCalendarWeekNumbering, setFormatSettings } from "@ui5/webcomponents-base/dist/config/FormatSettings.js";
+import { getPseudoLocalization, setPseudoLocalization } from "@ui5/webcomponents-base/dist/config/PseudoLocalization.js";
 import { getRegisteredNames as getIconNames } from  "@ui5/webcomponents-base/dist/SVGIconRegistry.js"
 const configuration = {
 	getAnimationMode,
+	getContentDensity,
+	setContentDensity,
+	getLanguage,
+	setLanguage,
 	getTheme,
 	setTheme,
 	setNoConflict,
 	getRTL,
+	setRTL,
 	getFirstDayOfWeek,
+	getCalendarWeekNumbering,
+	setFormatSettings,
+	getPseudoLocalization,
+	setPseudoLocalization,
 };
 export {
 	configuration,
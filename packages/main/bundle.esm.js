@@ -18,7 +18,7 @@ import "@ui5/webcomponents-icons/dist/Assets.js";
 // asset helpers (needs correct json as url in rollup.config.js)
 import "./dist/Assets.js";
 
-import "./dist/features/InputElementsFormSupport.js";
+import "./dist/features/InputElementsFormAssociation.js";
 import "./dist/features/InputSuggestions.js";
 
 import Avatar from "./dist/Avatar.js";
@@ -67,28 +67,50 @@ import CustomListItem from "./dist/CustomListItem.js";
 import GroupHeaderListItem from "./dist/GroupHeaderListItem.js";
 
 
+// used in the scoping test page - the suffix is set synchronously, before the components are defined
+import { setCustomElementsScopingSuffix } from "@ui5/webcomponents-base/dist/CustomElementsScope.js";
+if (window["sap-ui-webcomponents-scoping-suffix"]) {
+	setCustomElementsScopingSuffix(window["sap-ui-webcomponents-scoping-suffix"]);
+}
+
 // used in test pages
 import RenderScheduler from "@ui5/webcomponents-base/dist/RenderScheduler.js";
 window.RenderScheduler = RenderScheduler;
 import { isIE } from "@ui5/webcomponents-base/dist/Device.js";
 window.isIE = isIE; // attached to the window object for testing purposes
+import * as Theming from "@ui5/webcomponents-base/dist/Theming.js";
+window.Theming = Theming; // used in test pages - to add custom CSS at runtime
+import * as MessageBox from "./dist/MessageBox.js";
+window.MessageBox = MessageBox; // used in test pages - to open message boxes
 
 
 // Note: keep in sync with rollup.config value for IIFE
 import { getAnimationMode } from "@ui5/webcomponents-base/dist/config/AnimationMode.js";
+import { getContentDensity, setContentDensity } from "@ui5/webcomponents-base/dist/config/ContentDensity.js";
+import { getLanguage, setLanguage } from "@ui5/webcomponents-base/dist/config/Language.js";
 import { getTheme, setTheme } from "@ui5/webcomponents-base/dist/config/Theme.js";
 import { setNoConflict } from "@ui5/webcomponents-base/dist/config/NoConflict.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
-import { getFirstDayOfWeek } from "@ui5/webcomponents-base/dist/config/FormatSettings.js";
+import { getRTL, setRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
+import { getFirstDayOfWeek, getCalendarWeekNumbering, setFormatSettings } from "@ui5/webcomponents-base/dist/config/FormatSettings.js";
+import { getPseudoLocalization, setPseudoLocalization } from "@ui5/webcomponents-base/dist/config/PseudoLocalization.js";
 import { getRegisteredNames as getIconNames } from  "@ui5/webcomponents-base/dist/SVGIconRegistry.js"
 window["sap-ui-webcomponents-bundle"] = {
 	configuration : {
 		getAnimationMode,
+		getContentDensity,
+		setContentDensity,
+		getLanguage,
+		setLanguage,
 		getTheme,
 		setTheme,
 		setNoConflict,
 		getRTL,
+		setRTL,
 		getFirstDayOfWeek,
+		getCalendarWeekNumbering,
+		setFormatSettings,
+		getPseudoLocalization,
+		setPseudoLocalization,
 	},
 	getIconNames,
 };
@@ -161,6 +161,10 @@ const metadata = {
  *
  * <code>import @ui5/webcomponents/dist/Avatar.js";</code>
  *
+ * @csspart root - Used to style the root DOM element of the avatar
+ * @csspart image - Used to style the image
+ * @csspart icon - Used to style the icon
+ * @csspart initials - Used to style the initials
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Avatar
@@ -1,7 +1,6 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 
 // Template
 import BadgeTemplate from "./generated/templates/BadgeTemplate.lit.js";
@@ -77,6 +76,8 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Badge";</code>
  *
+ * @csspart root - Used to style the root DOM element of the badge
+ * @csspart text - Used to style the text of the badge
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Badge
@@ -129,7 +130,7 @@ class Badge extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	get badgeDescription() {
@@ -69,6 +69,7 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/BusyIndicator";</code>
  *
+ * @csspart indicator - Used to style the animated indicator
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.BusyIndicator
@@ -1,9 +1,9 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import { isSpace, isEnter } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import { getPseudoLocalization, getPseudoLocalizedText } from "@ui5/webcomponents-base/dist/config/PseudoLocalization.js";
 import ButtonDesign from "./types/ButtonDesign.js";
 import ButtonTemplate from "./generated/templates/ButtonTemplate.lit.js";
 import Icon from "./Icon.js";
@@ -203,6 +203,9 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Button";</code>
  *
+ * @csspart button - Used to style the native button element
+ * @csspart icon - Used to style the icon of the button
+ * @csspart text - Used to style the text of the button
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Button
@@ -296,7 +299,7 @@ class Button extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	get hasButtonType() {
@@ -319,6 +322,11 @@ class Button extends UI5Element {
 		};
 	}
 
+	// When pseudo-localized, the text is rendered instead of the slot
+	get pseudoLocalizedText() {
+		return getPseudoLocalization() ? getPseudoLocalizedText(this.textContent.trim()) : "";
+	}
+
 	get buttonTypeText() {
 		return this.i18nBundle.getText(Button.typeTextMappings()[this.design]);
 	}
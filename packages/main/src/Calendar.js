@@ -53,6 +53,8 @@ const metadata = {
 
 		/**
 		 * Defines the selected dates as UTC timestamps.
+		 * <br><br>
+		 * In HTML, the selected dates are set as a JSON array, f.e. <code>selected-dates="[1585699200, 1585785600]"</code>.
 		 * @type {Array}
 		 * @public
 		 */
@@ -158,8 +160,6 @@ class Calendar extends UI5Element {
 
 	constructor() {
 		super();
-		this._oLocale = getFormatLocale();
-		this._oLocaleData = new LocaleData(this._oLocale);
 		this._header = {};
 		this._header.onPressPrevious = this._handlePrevious.bind(this);
 		this._header.onPressNext = this._handleNext.bind(this);
@@ -273,6 +273,14 @@ class Calendar extends UI5Element {
 		return this._calendarDate.getMonth();
 	}
 
+	get _oLocale() {
+		return getFormatLocale();
+	}
+
+	get _oLocaleData() {
+		return LocaleData.getInstance(this._oLocale);
+	}
+
 	get _primaryCalendarType() {
 		return this.primaryCalendarType || getCalendarType() || LocaleData.getInstance(getLocale()).getPreferredCalendarType();
 	}
@@ -337,7 +345,7 @@ class Calendar extends UI5Element {
 		let fistDayOfMonthIndex = -1;
 
 		// focus first day of the month
-		const dayPicker = this.shadowRoot.querySelector("ui5-daypicker");
+		const dayPicker = this.shadowRoot.querySelector(DayPicker.getMetadata().getTag());
 
 		dayPicker._getVisibleDays(targetDate).forEach((date, index) => {
 			if (date.getDate() === 1 && (fistDayOfMonthIndex === -1)) {
@@ -418,7 +426,7 @@ class Calendar extends UI5Element {
 			iNewYear = this._calendarDate.getYear();
 
 		// focus first day of the month
-		const dayPicker = this.shadowRoot.querySelector("ui5-daypicker");
+		const dayPicker = this.shadowRoot.querySelector(DayPicker.getMetadata().getTag());
 		const currentMonthDate = dayPicker._calendarDate.setMonth(dayPicker._calendarDate.getMonth());
 		const lastMonthDate = dayPicker._calendarDate.setMonth(dayPicker._calendarDate.getMonth() - 1);
 
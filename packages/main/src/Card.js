@@ -2,7 +2,6 @@ import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import { isSpace, isEnter } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import CardTemplate from "./generated/templates/CardTemplate.lit.js";
 import Icon from "./Icon.js";
 
@@ -131,6 +130,13 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Card";</code>
  *
+ * @csspart root - Used to style the root DOM element of the card
+ * @csspart header - Used to style the header of the card
+ * @csspart avatar - Used to style the container of the <code>avatar</code> slot
+ * @csspart heading - Used to style the heading of the card
+ * @csspart subheading - Used to style the subheading of the card
+ * @csspart status - Used to style the status of the card
+ * @csspart content - Used to style the content of the card
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Card
@@ -196,7 +202,7 @@ class Card extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	get ariaCardRoleDescription() {
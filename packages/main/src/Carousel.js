@@ -12,6 +12,7 @@ import {
 	getI18nBundle,
 } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import ScrollEnablement from "@ui5/webcomponents-base/dist/delegate/ScrollEnablement.js";
+import ResizeHandler from "@ui5/webcomponents-base/dist/delegate/ResizeHandler.js";
 import { isDesktop } from "@ui5/webcomponents-base/dist/Device.js";
 import AnimationMode from "@ui5/webcomponents-base/dist/types/AnimationMode.js";
 import { getAnimationMode } from "@ui5/webcomponents-base/dist/config/AnimationMode.js";
@@ -41,7 +42,37 @@ const metadata = {
 		},
 
 		/**
-		 * Sets the amount of items per page. If this property is set, on mobile devices it will always fallback to 1.
+		 * Defines whether the carousel should loop infinitely, i.e the first page is shown after the last page and vice versa,
+		 * while the carousel keeps moving in the same direction.
+		 * Unlike <code>cycling</code>, the carousel does not scroll back through all pages, when the end is reached.
+		 * @type {Boolean}
+		 * @defaultvalue false
+		 * @public
+		 */
+		infinite: {
+			type: Boolean,
+		},
+
+		/**
+		 * Defines the interval in milliseconds, after which the next page is shown automatically.
+		 * When the last page is reached, the carousel continues with the first one.
+		 * <br><br>
+		 * <b>Note:</b> The automatic navigation is paused, while the carousel is hovered or focused,
+		 * and is disabled, when the animation mode is <code>None</code>.
+		 * Set to 0 to disable the automatic navigation.
+		 * @type {Integer}
+		 * @defaultvalue 0
+		 * @public
+		 */
+		autoplay: {
+			type: Integer,
+			defaultValue: 0,
+		},
+
+		/**
+		 * Sets the amount of items per page for the M, L and XL sizes of the carousel,
+		 * unless set for the size with <code>itemsPerPageM</code>, <code>itemsPerPageL</code> or <code>itemsPerPageXL</code>.
+		 * In the S size (f.e. on mobile devices) the carousel falls back to 1 item per page, unless <code>itemsPerPageS</code> is set.
 		 * @type {Integer}
 		 * @defaultvalue 1
 		 * @public
@@ -51,6 +82,50 @@ const metadata = {
 			defaultValue: 1,
 		},
 
+		/**
+		 * Sets the amount of items per page, when the carousel is narrower than 600px (the S size).
+		 * If not set, 1 item per page is displayed.
+		 * @type {Integer}
+		 * @defaultvalue undefined
+		 * @public
+		 */
+		itemsPerPageS: {
+			type: Integer,
+		},
+
+		/**
+		 * Sets the amount of items per page, when the carousel is between 600px and 1024px wide (the M size).
+		 * If not set, <code>itemsPerPage</code> is used.
+		 * @type {Integer}
+		 * @defaultvalue undefined
+		 * @public
+		 */
+		itemsPerPageM: {
+			type: Integer,
+		},
+
+		/**
+		 * Sets the amount of items per page, when the carousel is between 1024px and 1440px wide (the L size).
+		 * If not set, <code>itemsPerPage</code> is used.
+		 * @type {Integer}
+		 * @defaultvalue undefined
+		 * @public
+		 */
+		itemsPerPageL: {
+			type: Integer,
+		},
+
+		/**
+		 * Sets the amount of items per page, when the carousel is at least 1440px wide (the XL size).
+		 * If not set, <code>itemsPerPage</code> is used.
+		 * @type {Integer}
+		 * @defaultvalue undefined
+		 * @public
+		 */
+		itemsPerPageXL: {
+			type: Integer,
+		},
+
 		/**
 		 * If set to true the navigation is hidden.
 		 * @type {Boolean}
@@ -82,6 +157,35 @@ const metadata = {
 			type: CarouselArrowsPlacement,
 			defaultValue: CarouselArrowsPlacement.Content,
 		},
+
+		/**
+		 * The index of the page, rendered in the middle, when the carousel loops infinitely.
+		 * The pages are rotated around it, so that there are pages on both sides of the selected one.
+		 * @private
+		 */
+		_loopStart: {
+			type: Integer,
+			defaultValue: 0,
+			noAttribute: true,
+		},
+
+		/**
+		 * The size of the carousel (S, M, L or XL), based on its width
+		 * @private
+		 */
+		_size: {
+			type: String,
+			noAttribute: true,
+		},
+
+		/**
+		 * Used to rotate the pages without an animation, once the carousel has moved to the selected page
+		 * @private
+		 */
+		_skipAnimation: {
+			type: Boolean,
+			noAttribute: true,
+		},
 	},
 	slots: /** @lends sap.ui.webcomponents.main.Carousel.prototype */ {
 		/**
@@ -97,7 +201,18 @@ const metadata = {
 		},
 	},
 	events: /** @lends sap.ui.webcomponents.main.Carousel.prototype */ {
-		//
+		/**
+		 * Fired whenever the selected page changes due to user interaction or autoplay.
+		 *
+		 * @event
+		 * @param {Integer} selectedIndex the index of the newly selected page
+		 * @public
+		 */
+		navigate: {
+			detail: {
+				selectedIndex: { type: Integer },
+			},
+		},
 	},
 };
 
@@ -117,11 +232,26 @@ const metadata = {
  *   - The items you want to display need to be visible at the same time.
  *   - The items you want to display are uniform and very similar
  *
+ * <h3>Responsive Behavior</h3>
+ * The amount of items per page depends on the width of the carousel itself, rather than the width of the screen,
+ * and can be set for each size with the <code>itemsPerPageS</code>, <code>itemsPerPageM</code>,
+ * <code>itemsPerPageL</code> and <code>itemsPerPageXL</code> properties. The M, L and XL sizes without a value use <code>itemsPerPage</code>,
+ * while the S size (f.e. on mobile devices) always falls back to 1 item per page.
+ *
+ * <h3>Slotting of Off-screen Pages</h3>
+ * Only the items of the selected page and the pages next to it are slotted, the items of the other pages
+ * are slotted, once the user navigates to them.
+ * <br>
+ * <b>Note:</b> The items of the off-screen pages stay in the light DOM, so they are still created and rendered up front,
+ * only their slots are not rendered in the <code>ui5-carousel</code>.
+ *
  * For the <code>ui5-carousel</code>
  * <h3>ES6 Module Import</h3>
  *
  * <code>import @ui5/webcomponents/dist/Carousel.js";</code>
  *
+ * @csspart root - Used to style the root DOM element of the carousel
+ * @csspart navigation - Used to style the page indicator and the navigation arrows below the content
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Carousel
@@ -151,6 +281,15 @@ class Carousel extends UI5Element {
 		return 9;
 	}
 
+	static get BREAKPOINTS() {
+		return [
+			{ size: "S", maxWidth: 599 },
+			{ size: "M", maxWidth: 1023 },
+			{ size: "L", maxWidth: 1439 },
+			{ size: "XL", maxWidth: Infinity },
+		];
+	}
+
 	constructor() {
 		super();
 
@@ -160,14 +299,67 @@ class Carousel extends UI5Element {
 		});
 
 		this.i18nBundle = getI18nBundle("@ui5/webcomponents");
+
+		ResizeHandler.observe(this, this._onResize.bind(this));
 	}
 
 	onBeforeRendering() {
-		this.itemsPerPage = this.effectiveItemsPerPage;
+		// The amount of pages decreases, when more items are displayed per page
+		if (this.selectedIndex > this.pagesCount - 1) {
+			this.selectedIndex = Math.max(this.pagesCount - 1, 0);
+		}
+
+		// Without an animation there is no transition to wait for, before rotating the pages
+		if (!this.infinite || this.shouldAnimate) {
+			this._loopStart = this.selectedIndex;
+		}
 	}
 
 	onAfterRendering() {
 		this._scrollEnablement.scrollContainer = this.getDomRef();
+
+		if (this._skipAnimation) {
+			// Force a style recalculation, so that the rotation of the pages is applied without an animation
+			this.getDomRef().offsetWidth; // eslint-disable-line
+			this._skipAnimation = false;
+		}
+
+		this._updateAutoplay();
+	}
+
+	onEnterDOM() {
+		this._onResize();
+	}
+
+	onExitDOM() {
+		this._stopAutoplay();
+	}
+
+	_onResize() {
+		const width = this.getBoundingClientRect().width;
+		this._size = Carousel.BREAKPOINTS.find(breakpoint => width <= breakpoint.maxWidth).size;
+	}
+
+	_updateAutoplay() {
+		const shouldPlay = this.autoplay > 0
+			&& !this._hovered
+			&& !this._focused
+			&& !this.shouldAnimate
+			&& this.pagesCount > 1;
+
+		if (!shouldPlay) {
+			this._stopAutoplay();
+		} else if (!this._autoplayTimeout) {
+			this._autoplayTimeout = setTimeout(() => {
+				this._autoplayTimeout = undefined;
+				this._navigateTo(this._getNextIndex(true));
+			}, this.autoplay);
+		}
+	}
+
+	_stopAutoplay() {
+		clearTimeout(this._autoplayTimeout);
+		this._autoplayTimeout = undefined;
 	}
 
 	_updateScrolling(event) {
@@ -194,24 +386,74 @@ class Carousel extends UI5Element {
 		}
 	}
 
+	_onmouseenter() {
+		this._hovered = true;
+		this._updateAutoplay();
+	}
+
+	_onmouseleave() {
+		this._hovered = false;
+		this._updateAutoplay();
+	}
+
+	_onfocusin() {
+		this._focused = true;
+		this._updateAutoplay();
+	}
+
+	_onfocusout(event) {
+		// the focus moves within the carousel
+		if (this.shadowRoot.contains(event.relatedTarget) || this.contains(event.relatedTarget)) {
+			return;
+		}
+
+		this._focused = false;
+		this._updateAutoplay();
+	}
+
+	_oncontenttransitionend(event) {
+		if (event.target !== event.currentTarget || !this.infinite || this._loopStart === this.selectedIndex) {
+			return;
+		}
+
+		this._skipAnimation = true;
+		this._loopStart = this.selectedIndex;
+	}
+
 	navigateLeft() {
+		this._navigateTo(this._getPreviousIndex());
+	}
+
+	navigateRight() {
+		this._navigateTo(this._getNextIndex());
+	}
+
+	_getPreviousIndex() {
 		if (this.selectedIndex - 1 < 0) {
-			if (this.cycling) {
-				this.selectedIndex = this.items.length - 1;
-			}
-		} else {
-			--this.selectedIndex;
+			return this.cycling || this.infinite ? this.pagesCount - 1 : this.selectedIndex;
 		}
+
+		return this.selectedIndex - 1;
 	}
 
-	navigateRight() {
-		if (this.selectedIndex + 1 > this.items.length - 1) {
-			if (this.cycling) {
-				this.selectedIndex = 0;
-			}
-		} else {
-			++this.selectedIndex;
+	_getNextIndex(wrap = false) {
+		if (this.selectedIndex + 1 > this.pagesCount - 1) {
+			return wrap || this.cycling || this.infinite ? 0 : this.selectedIndex;
 		}
+
+		return this.selectedIndex + 1;
+	}
+
+	_navigateTo(index) {
+		this._stopAutoplay();
+
+		if (index === this.selectedIndex) {
+			this._updateAutoplay();
+			return;
+		}
+
+		this.selectedIndex = index;
+		this.fireEvent("navigate", { selectedIndex: index });
 	}
 
 	get shouldAnimate() {
@@ -224,29 +466,70 @@ class Carousel extends UI5Element {
 	 */
 	get items() {
 		const result = [],
-			innerArraysLength = Math.ceil(this.content.length / this.itemsPerPage);
+			pagesCount = this.pagesCount;
+
+		for (let i = 0; i < pagesCount; i++) {
+			const page = {
+				items: [],
+				visible: this._isPageRendered(i, pagesCount),
+				style: this.infinite ? `order: ${this._getPagePosition(i, pagesCount)}` : undefined,
+			};
 
-		for (let i = 0; i < innerArraysLength; i++) {
-			result.push([]);
-			for (let j = 0; j < this.itemsPerPage; j++) {
-				result[i].push({
-					item: this.content[(i * this.itemsPerPage) + j],
+			for (let j = 0; j < this.effectiveItemsPerPage; j++) {
+				page.items.push({
+					item: this.content[(i * this.effectiveItemsPerPage) + j],
 					tabIndex: i === this.selectedIndex ? "0" : "-1",
 				});
 			}
+
+			result.push(page);
 		}
 
 		return result;
 	}
 
+	get pagesCount() {
+		return Math.ceil(this.content.length / this.effectiveItemsPerPage);
+	}
+
+	/**
+	 * Returns the position of the page in the rotated order of the pages, when the carousel loops infinitely
+	 * @private
+	 */
+	_getPagePosition(index, pagesCount) {
+		const middle = Math.floor(pagesCount / 2);
+		return (index - this._loopStart + middle + pagesCount) % pagesCount;
+	}
+
+	/**
+	 * Only the items of the selected page and the pages next to it are slotted, so that they are visible, while the carousel moves
+	 * @private
+	 */
+	_isPageRendered(index, pagesCount) {
+		const distance = Math.abs(index - this.selectedIndex);
+		const canLoop = this.cycling || this.infinite || this.autoplay > 0;
+
+		return distance <= 1 || (canLoop && distance === pagesCount - 1);
+	}
+
 	get effectiveItemsPerPage() {
-		return isDesktop() ? this.itemsPerPage : 1;
+		const itemsPerPageForSize = {
+			S: this.itemsPerPageS || 1,
+			M: this.itemsPerPageM,
+			L: this.itemsPerPageL,
+			XL: this.itemsPerPageXL,
+		};
+
+		// itemsPerPage is used for the M, L and XL sizes without a value, as well as before the carousel is rendered (the size is not known)
+		return itemsPerPageForSize[this._size] || this.itemsPerPage;
 	}
 
 	get styles() {
+		const position = this.infinite ? this._getPagePosition(this.selectedIndex, this.pagesCount) : this.selectedIndex;
+
 		return {
 			content: {
-				"left": `-${this.selectedIndex * 100}%`,
+				"left": `-${position * 100}%`,
 			},
 		};
 	}
@@ -255,7 +538,7 @@ class Carousel extends UI5Element {
 		return {
 			content: {
 				"ui5-carousel-content": true,
-				"ui5-carousel-content-no-animation": this.shouldAnimate,
+				"ui5-carousel-content-no-animation": this.shouldAnimate || this._skipAnimation,
 				"ui5-carousel-content-has-navigation": !this.hideNavigation,
 				"ui5-carousel-content-has-navigation-and-buttons": !this.hideNavigation && this.arrowsPlacement === CarouselArrowsPlacement.Navigation,
 			},
@@ -265,7 +548,7 @@ class Carousel extends UI5Element {
 			},
 			item: {
 				"ui5-carousel-item": true,
-				"ui5-carousel-item-multiple": this.itemsPerPage > 1,
+				"ui5-carousel-item-multiple": this.effectiveItemsPerPage > 1,
 			},
 		};
 	}
@@ -4,7 +4,6 @@ import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
 import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { isSpace, isEnter } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
 import "@ui5/webcomponents-icons/dist/icons/accept.js";
 import Icon from "./Icon.js";
@@ -22,6 +21,7 @@ import checkboxCss from "./generated/themes/CheckBox.css.js";
  */
 const metadata = {
 	tag: "ui5-checkbox",
+	formAssociated: true,
 	properties: /** @lends sap.ui.webcomponents.main.CheckBox.prototype */ {
 
 		/**
@@ -168,6 +168,10 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/CheckBox";</code>
  *
+ * @csspart root - Used to style the root DOM element of the check box
+ * @csspart box - Used to style the box around the check mark
+ * @csspart icon - Used to style the check mark
+ * @csspart label - Used to style the label
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.CheckBox
@@ -305,7 +309,7 @@ class CheckBox extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	static async onDefine() {
@@ -238,6 +238,9 @@ const metadata = {
  * <code>import "@ui5/webcomponents/dist/ComboBox";</code>
  *
  *
+ * @csspart root - Used to style the root DOM element of the combo box
+ * @csspart input - Used to style the native input element
+ * @csspart icon - Used to style the dropdown icon
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.ComboBox
@@ -463,7 +466,7 @@ class ComboBox extends UI5Element {
 	}
 
 	get _respPopover() {
-		return this.getStaticAreaItemDomRef().querySelector("ui5-responsive-popover");
+		return this.getStaticAreaItemDomRef().querySelector(ResponsivePopover.getMetadata().getTag());
 	}
 
 	get editable() {
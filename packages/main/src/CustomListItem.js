@@ -34,6 +34,8 @@ const metadata = {
  *
  * The <code>ui5-li-custom</code> accepts arbitrary HTML content to allow full customization.
  *
+ * @csspart root - Used to style the root DOM element of the list item
+ * @csspart content - Used to style the container of the list item content
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.CustomListItem
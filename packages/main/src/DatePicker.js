@@ -6,13 +6,13 @@ import { fetchCldr } from "@ui5/webcomponents-base/dist/asset-registries/LocaleD
 import { getCalendarType } from "@ui5/webcomponents-base/dist/config/CalendarType.js";
 import { getLocale } from "@ui5/webcomponents-base/dist/LocaleProvider.js";
 import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
+import { attachFormatSettingsChange } from "@ui5/webcomponents-base/dist/FormatSettingsChange.js";
 import LocaleData from "@ui5/webcomponents-utils/dist/sap/ui/core/LocaleData.js";
 import DateFormat from "@ui5/webcomponents-utils/dist/sap/ui/core/format/DateFormat.js";
 import CalendarType from "@ui5/webcomponents-base/dist/dates/CalendarType.js";
 import CalendarDate from "@ui5/webcomponents-base/dist/dates/CalendarDate.js";
 import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
 import { isShow } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { isPhone } from "@ui5/webcomponents-base/dist/Device.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import "@ui5/webcomponents-icons/dist/icons/appointment-2.js";
@@ -33,11 +33,19 @@ import datePickerCss from "./generated/themes/DatePicker.css.js";
 import datePickerPopoverCss from "./generated/themes/DatePickerPopover.css.js";
 import ResponsivePopoverCommonCss from "./generated/themes/ResponsivePopoverCommon.css.js";
 
+// The date pickers on the page, which dates are formatted anew, when the format settings (f.e. the date patterns) change
+const datePickers = new Set();
+
+attachFormatSettingsChange(() => {
+	datePickers.forEach(datePicker => datePicker._reformatDates());
+});
+
 /**
  * @public
  */
 const metadata = {
 	tag: "ui5-datepicker",
+	formAssociated: true,
 	properties: /** @lends  sap.ui.webcomponents.main.DatePicker.prototype */ {
 		/**
 		 * Defines a formatted date value.
@@ -245,6 +253,8 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/DatePicker";</code>
  *
+ * @csspart input - Used to style the <code>ui5-input</code> of the date picker
+ * @csspart icon - Used to style the calendar icon
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.DatePicker
@@ -334,6 +344,35 @@ class DatePicker extends UI5Element {
 		this.i18nBundle = getI18nBundle("@ui5/webcomponents");
 	}
 
+	onEnterDOM() {
+		datePickers.add(this);
+	}
+
+	onExitDOM() {
+		datePickers.delete(this);
+	}
+
+	/**
+	 * Formats the value, minDate and maxDate with the new format settings.
+	 * They are parsed with the last used format, as it is created with the previous format settings.
+	 * @private
+	 */
+	_reformatDates() {
+		if (!this._oDateFormat) {
+			return;
+		}
+
+		const oldFormat = this._oDateFormat;
+		const newFormat = this.getFormat();
+
+		["value", "minDate", "maxDate"].forEach(prop => {
+			const date = this[prop] && oldFormat.parse(this[prop]);
+			if (date) {
+				this[prop] = newFormat.format(date);
+			}
+		});
+	}
+
 	findFirstFocusableDay(daypicker) {
 		const today = new Date();
 		if (!this.isInValidRange(today.getTime())) {
@@ -394,7 +433,7 @@ class DatePicker extends UI5Element {
 	}
 
 	_getInput() {
-		return this.shadowRoot.querySelector("ui5-input");
+		return this.shadowRoot.querySelector(Input.getMetadata().getTag());
 	}
 
 	_handleInputChange() {
@@ -565,11 +604,11 @@ class DatePicker extends UI5Element {
 	}
 
 	get dir() {
-		return getRTL() ? "rtl" : "ltr";
+		return this.effectiveDir;
 	}
 
 	get _respPopover() {
-		return this.getStaticAreaItemDomRef().querySelector("ui5-responsive-popover");
+		return this.getStaticAreaItemDomRef().querySelector(ResponsivePopover.getMetadata().getTag());
 	}
 
 	_canOpenPicker() {
@@ -163,8 +163,6 @@ class DayPicker extends UI5Element {
 
 	constructor() {
 		super();
-		this._oLocale = getFormatLocale();
-		this._oLocaleData = new LocaleData(this._oLocale);
 
 		this._itemNav = new ItemNavigation(this, {
 			rowSize: 7,
@@ -412,6 +410,14 @@ class DayPicker extends UI5Element {
 		return this.selectedDates || [];
 	}
 
+	get _oLocale() {
+		return getFormatLocale();
+	}
+
+	get _oLocaleData() {
+		return LocaleData.getInstance(this._oLocale);
+	}
+
 	get _primaryCalendarType() {
 		return this.primaryCalendarType || getCalendarType() || LocaleData.getInstance(getLocale()).getPreferredCalendarType();
 	}
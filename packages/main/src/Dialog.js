@@ -1,7 +1,27 @@
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 
 import { isPhone } from "@ui5/webcomponents-base/dist/Device.js";
+import {
+	isUp,
+	isDown,
+	isLeft,
+	isRight,
+} from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
+import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
+import "@ui5/webcomponents-icons/dist/icons/resize-corner.js";
+import "@ui5/webcomponents-icons/dist/icons/message-error.js";
+import "@ui5/webcomponents-icons/dist/icons/message-warning.js";
+import "@ui5/webcomponents-icons/dist/icons/message-success.js";
 import Popup from "./Popup.js";
+import Icon from "./Icon.js";
+import {
+	DIALOG_HEADER_ARIA_DESCRIBEDBY_DRAGGABLE,
+	DIALOG_RESIZE_HANDLE_ARIA_LABEL,
+	ICON_MESSAGE_ERROR,
+	ICON_MESSAGE_WARNING,
+	ICON_MESSAGE_SUCCESS,
+} from "./generated/i18n/i18n-defaults.js";
 // Template
 import DialogTemplate from "./generated/templates/DialogTemplate.lit.js";
 
@@ -27,7 +47,153 @@ const metadata = {
 		stretch: {
 			type: Boolean,
 		},
+
+		/**
+		 * Defines the semantic state of the <code>ui5-dialog</code>.
+		 * <br><br>
+		 * Available options are:
+		 * <ul>
+		 * <li><code>None</code></li>
+		 * <li><code>Error</code></li>
+		 * <li><code>Warning</code></li>
+		 * <li><code>Success</code></li>
+		 * </ul>
+		 * <br>
+		 * When set to a value, other than <code>None</code>, an icon and an accent color are displayed in the header
+		 * and the <code>ui5-dialog</code> is announced as an alert dialog.
+		 *
+		 * @type {ValueState}
+		 * @defaultvalue "None"
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		state: {
+			type: ValueState,
+			defaultValue: ValueState.None,
+		},
+
+		/**
+		 * Determines whether the <code>ui5-dialog</code> can be moved by dragging its header with the mouse,
+		 * or with the arrow keys, when the header is focused.
+		 * <br><br>
+		 * <b>Note:</b> The <code>ui5-dialog</code> is kept within the viewport and can not be dragged on phones.
+		 *
+		 * @type {Boolean}
+		 * @defaultvalue false
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		draggable: {
+			type: Boolean,
+		},
+
+		/**
+		 * Determines whether the <code>ui5-dialog</code> can be resized by dragging its resize handle
+		 * (the bottom-right corner, or bottom-left in RTL) with the mouse, or with the arrow keys, when the resize handle is focused.
+		 * <br><br>
+		 * <b>Note:</b> The <code>ui5-dialog</code> is kept within the viewport and can not be resized on phones.
+		 *
+		 * @type {Boolean}
+		 * @defaultvalue false
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		resizable: {
+			type: Boolean,
+		},
+
+		/**
+		 * The position and size, set by dragging and resizing
+		 * @private
+		 */
+		_geometry: {
+			type: Object,
+		},
 	},
+	events: /** @lends  sap.ui.webcomponents.main.Dialog.prototype */ {
+		/**
+		 * Fired when the user finishes moving the <code>ui5-dialog</code> with the mouse or the keyboard.
+		 * The position and size are relative to the viewport and in pixels.
+		 *
+		 * @event
+		 * @param {Number} top the distance from the top of the viewport
+		 * @param {Number} left the distance from the left of the viewport
+		 * @param {Number} width the width of the dialog
+		 * @param {Number} height the height of the dialog
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		dragEnd: {
+			detail: {
+				top: { type: Number },
+				left: { type: Number },
+				width: { type: Number },
+				height: { type: Number },
+			},
+		},
+
+		/**
+		 * Fired when the user finishes resizing the <code>ui5-dialog</code> with the mouse or the keyboard.
+		 * The position and size are relative to the viewport and in pixels.
+		 *
+		 * @event
+		 * @param {Number} top the distance from the top of the viewport
+		 * @param {Number} left the distance from the left of the viewport
+		 * @param {Number} width the width of the dialog
+		 * @param {Number} height the height of the dialog
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		resizeEnd: {
+			detail: {
+				top: { type: Number },
+				left: { type: Number },
+				width: { type: Number },
+				height: { type: Number },
+			},
+		},
+	},
+};
+
+const STATE_ICONS = {
+	[ValueState.Error]: "message-error",
+	[ValueState.Warning]: "message-warning",
+	[ValueState.Success]: "message-success",
+};
+
+const STATE_TEXTS = {
+	[ValueState.Error]: ICON_MESSAGE_ERROR,
+	[ValueState.Warning]: ICON_MESSAGE_WARNING,
+	[ValueState.Success]: ICON_MESSAGE_SUCCESS,
+};
+
+// The distance in pixels, by which the dialog is moved or resized with each arrow key press
+const KEYBOARD_STEP = 16;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+// The focusable elements within the header (f.e. buttons) keep working as usual and do not start dragging
+const isFromFocusableElement = event => {
+	const path = event.composedPath();
+	return path.slice(0, path.indexOf(event.currentTarget)).some(element => element.tabIndex >= 0);
+};
+
+const getKeyboardOffset = event => {
+	if (isLeft(event)) {
+		return { x: -KEYBOARD_STEP, y: 0 };
+	}
+
+	if (isRight(event)) {
+		return { x: KEYBOARD_STEP, y: 0 };
+	}
+
+	if (isUp(event)) {
+		return { x: 0, y: -KEYBOARD_STEP };
+	}
+
+	if (isDown(event)) {
+		return { x: 0, y: KEYBOARD_STEP };
+	}
 };
 
 /**
@@ -52,10 +218,23 @@ const metadata = {
  * The <code>stretch</code> property can be used to stretch the
  * <code>ui5-dialog</code> on full screen.
  *
+ * <h3>States</h3>
+ * The <code>state</code> property displays an icon and an accent color in the header,
+ * for example for error messages or confirmations. See also the <code>MessageBox</code> module,
+ * which opens such dialogs with a text and action buttons.
+ *
+ * <h3>Moving and Resizing</h3>
+ * With the <code>draggable</code> and <code>resizable</code> properties, the user can move the <code>ui5-dialog</code>
+ * by its header and resize it by its bottom corner, with the mouse or the arrow keys.
+ * The final position and size are available in the <code>dragEnd</code> and <code>resizeEnd</code> events.
+ *
  * <h3>ES6 Module Import</h3>
  *
  * <code>import "@ui5/webcomponents/dist/Dialog";</code>
  *
+ * @csspart header - Used to style the header of the dialog
+ * @csspart content - Used to style the content of the dialog
+ * @csspart footer - Used to style the footer of the dialog
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Dialog
@@ -80,6 +259,19 @@ class Dialog extends Popup {
 		return [Popup.styles, dialogCss];
 	}
 
+	static async onDefine() {
+		await Promise.all([
+			Icon.define(),
+			fetchI18nBundle("@ui5/webcomponents"),
+		]);
+	}
+
+	constructor() {
+		super();
+
+		this.i18nBundle = getI18nBundle("@ui5/webcomponents");
+	}
+
 	/**
 	* Opens the <code>ui5-dialog</code>.
 	* @public
@@ -133,6 +325,196 @@ class Dialog extends Popup {
 		};
 	}
 
+	get styles() {
+		const geometry = this._geometry;
+		const root = {};
+
+		if (geometry.top !== undefined) {
+			root.position = "absolute";
+			root.top = `${geometry.top}px`;
+			root.left = `${geometry.left}px`;
+		}
+
+		if (geometry.width !== undefined) {
+			root.width = `${geometry.width}px`;
+			root.height = `${geometry.height}px`;
+		}
+
+		return {
+			root,
+		};
+	}
+
+	get headerId() {
+		return this.header.length ? undefined : `${this._id}-header-title`;
+	}
+
+	get _role() {
+		return this.state === ValueState.None ? "dialog" : "alertdialog";
+	}
+
+	get _stateIcon() {
+		return STATE_ICONS[this.state];
+	}
+
+	get _stateText() {
+		return STATE_TEXTS[this.state] && this.i18nBundle.getText(STATE_TEXTS[this.state]);
+	}
+
+	get _ariaDescribedBy() {
+		return this._stateText ? `${this._id}-stateText` : undefined;
+	}
+
+	get _draggable() {
+		return this.draggable && !isPhone();
+	}
+
+	get _resizable() {
+		return this.resizable && !isPhone();
+	}
+
+	get _headerTabIndex() {
+		return this._draggable ? "0" : undefined;
+	}
+
+	get _headerAriaDescribedBy() {
+		return this._draggable ? `${this._id}-dragText` : undefined;
+	}
+
+	get _dragText() {
+		return this.i18nBundle.getText(DIALOG_HEADER_ARIA_DESCRIBEDBY_DRAGGABLE);
+	}
+
+	get _resizeHandleAriaLabel() {
+		return this.i18nBundle.getText(DIALOG_RESIZE_HANDLE_ARIA_LABEL);
+	}
+
+	get rtl() {
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
+	}
+
+	/**
+	 * Returns the current position and size of the dialog, relative to the viewport.
+	 * The last set geometry takes precedence, as it may not be rendered yet.
+	 * @private
+	 */
+	_getCurrentGeometry() {
+		const rect = this.getPopupDomRef().getBoundingClientRect();
+
+		return Object.assign({
+			top: Math.round(rect.top),
+			left: Math.round(rect.left),
+			width: Math.round(rect.width),
+			height: Math.round(rect.height),
+		}, this._geometry);
+	}
+
+	/**
+	 * Moves the dialog by the given offset from the initial geometry, within the viewport, and returns the new geometry
+	 * @private
+	 */
+	_move(initial, offsetX, offsetY) {
+		const top = clamp(initial.top + offsetY, 0, window.innerHeight - initial.height);
+		const left = clamp(initial.left + offsetX, 0, window.innerWidth - initial.width);
+
+		// the size is kept only if set by resizing, so that the dialog still adapts to its content
+		this._geometry = Object.assign({}, this._geometry, { top, left });
+
+		return Object.assign({}, initial, { top, left });
+	}
+
+	/**
+	 * Resizes the dialog by the given offset from the initial geometry, within the viewport, and returns the new geometry.
+	 * In RTL, the resize handle is at the bottom-left corner, so the right edge of the dialog stays in place.
+	 * @private
+	 */
+	_resize(initial, offsetX, offsetY) {
+		const rootStyles = getComputedStyle(this.getPopupDomRef());
+		const minWidth = parseFloat(rootStyles.minWidth) || 0;
+		const minHeight = parseFloat(rootStyles.minHeight) || 0;
+		const right = initial.left + initial.width;
+		const isRTL = this.effectiveDir === "rtl";
+
+		const maxWidth = isRTL ? right : window.innerWidth - initial.left;
+		const width = clamp(initial.width + (isRTL ? -offsetX : offsetX), minWidth, maxWidth);
+		const height = clamp(initial.height + offsetY, minHeight, window.innerHeight - initial.top);
+		const left = isRTL ? right - width : initial.left;
+
+		this._geometry = {
+			top: initial.top,
+			left,
+			width,
+			height,
+		};
+
+		return Object.assign({}, this._geometry);
+	}
+
+	/**
+	 * Calls "action" (_move or _resize) with the mouse offset, while the mouse button is pressed,
+	 * and fires the "endEvent" with the final geometry, once it is released
+	 * @private
+	 */
+	_trackMouse(event, action, endEvent) {
+		const startX = event.clientX;
+		const startY = event.clientY;
+		const initial = this._getCurrentGeometry();
+		let geometry;
+
+		// prevents the text selection while dragging, so the header or the resize handle is focused explicitly
+		event.preventDefault();
+		event.currentTarget.focus();
+
+		const onMouseMove = moveEvent => {
+			geometry = action.call(this, initial, moveEvent.clientX - startX, moveEvent.clientY - startY);
+		};
+
+		const onMouseUp = () => {
+			document.removeEventListener("mousemove", onMouseMove);
+			document.removeEventListener("mouseup", onMouseUp);
+
+			if (geometry) {
+				this.fireEvent(endEvent, geometry);
+			}
+		};
+
+		document.addEventListener("mousemove", onMouseMove);
+		document.addEventListener("mouseup", onMouseUp);
+	}
+
+	_handleKeyDown(event, action, endEvent) {
+		const offset = getKeyboardOffset(event);
+
+		if (!offset) {
+			return;
+		}
+
+		event.preventDefault();
+		this.fireEvent(endEvent, action.call(this, this._getCurrentGeometry(), offset.x, offset.y));
+	}
+
+	_onHeaderMouseDown(event) {
+		if (this._draggable && event.button === 0 && !isFromFocusableElement(event)) {
+			this._trackMouse(event, this._move, "dragEnd");
+		}
+	}
+
+	_onHeaderKeyDown(event) {
+		if (this._draggable && event.target === event.currentTarget) {
+			this._handleKeyDown(event, this._move, "dragEnd");
+		}
+	}
+
+	_onResizeMouseDown(event) {
+		if (event.button === 0) {
+			this._trackMouse(event, this._resize, "resizeEnd");
+		}
+	}
+
+	_onResizeKeyDown(event) {
+		this._handleKeyDown(event, this._resize, "resizeEnd");
+	}
+
 	get zindex() {
 		return `z-index: ${this._zIndex + 1};`;
 	}
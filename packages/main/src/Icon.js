@@ -1,6 +1,5 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { getIconData, getIconDataSync } from "@ui5/webcomponents-base/dist/SVGIconRegistry.js";
 import createStyleInHead from "@ui5/webcomponents-base/dist/util/createStyleInHead.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
@@ -92,6 +91,7 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Icon.js";</code>
  *
+ * @csspart root - Used to style the svg element
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Icon
@@ -132,7 +132,7 @@ class Icon extends UI5Element {
 		}
 		const styleElement = document.head.querySelector(`style[data-ui5-icon-global]`);
 		if (!styleElement) {
-			createStyleInHead(`ui5-icon { display: none !important; }`, { "data-ui5-icon-global": "" });
+			createStyleInHead(`${this.getMetadata().getTag()} { display: none !important; }`, { "data-ui5-icon-global": "" });
 		}
 	}
 
@@ -178,7 +178,7 @@ class Icon extends UI5Element {
 	}
 
 	get dir() {
-		return getRTL() ? "rtl" : "ltr";
+		return this.effectiveDir;
 	}
 
 	async onEnterDOM() {
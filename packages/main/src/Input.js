@@ -11,6 +11,9 @@ import {
 } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
 import Integer from "@ui5/webcomponents-base/dist/types/Integer.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import { fetchCldr } from "@ui5/webcomponents-base/dist/asset-registries/LocaleData.js";
+import { getLocale } from "@ui5/webcomponents-base/dist/LocaleProvider.js";
+import { formatFloat, parseNumber, getDecimalSeparator } from "@ui5/webcomponents-base/dist/format/NumberFormat.js";
 // import Icon from "./Icon.js";
 import InputType from "./types/InputType.js";
 // Templates
@@ -34,6 +37,7 @@ import ResponsivePopoverCommonCss from "./generated/themes/ResponsivePopoverComm
  */
 const metadata = {
 	tag: "ui5-input",
+	formAssociated: true,
 	slots: /** @lends sap.ui.webcomponents.main.Input.prototype */ {
 
 		/**
@@ -146,6 +150,9 @@ const metadata = {
 		 * and the current language settings, especially for type <code>Number</code>.</li>
 		 * <li>The property is mostly intended to be used with touch devices
 		 * that use different soft keyboard layouts depending on the given input type.</li>
+		 * <li>For type <code>Number</code>, if the decimal separator of the current locale is not "." (f.e. in German),
+		 * the number is displayed and typed in the format of the locale ("1.234,5"), while the <code>value</code> property
+		 * holds the number in JavaScript format ("1234.5"). Otherwise, the native number input is used.</li>
 		 * </ul>
 		 *
 		 * @type {string}
@@ -236,6 +243,16 @@ const metadata = {
 			type: Object,
 		},
 
+		/**
+		 * The text, typed by the user for type <code>Number</code>, displayed as typed until the input operation finishes
+		 * @private
+		 */
+		_numberText: {
+			type: String,
+			defaultValue: undefined,
+			noAttribute: true,
+		},
+
 		_inputAccInfo: {
 			type: Object,
 		},
@@ -315,6 +332,9 @@ const metadata = {
  * <br>
  * <code>import "@ui5/webcomponents/dist/features/InputSuggestions.js";</code> (optional - for input suggestions support)
  *
+ * @csspart root - Used to style the root DOM element of the input
+ * @csspart input - Used to style the native input element
+ * @csspart icon - Used to style the container of the <code>icon</code> slot
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Input
@@ -472,6 +492,7 @@ class Input extends UI5Element {
 		}
 
 		this.previousValue = "";
+		this._numberText = undefined;
 		this.focused = false; // invalidating property
 	}
 
@@ -484,6 +505,9 @@ class Input extends UI5Element {
 
 	_handleChange(event) {
 		this.fireEvent(this.EVENT_CHANGE);
+
+		// display the number in the format of the current locale
+		this._numberText = undefined;
 	}
 
 	_handleInput(event) {
@@ -575,7 +599,12 @@ class Input extends UI5Element {
 		const isSubmit = action === this.ACTION_ENTER;
 		const isUserInput = action === this.ACTION_USER_INPUT;
 
-		this.value = inputValue;
+		if (this._isLocaleNumber) {
+			this._numberText = inputValue;
+			this.value = this.parseNumberValue(inputValue);
+		} else {
+			this.value = inputValue;
+		}
 
 		if (isUserInput) { // input
 			this.fireEvent(this.EVENT_INPUT);
@@ -596,6 +625,16 @@ class Input extends UI5Element {
 	}
 
 
+	/**
+	 * Parses the text, typed in the format of the current locale (f.e. "1.234,5" in German), into a number in JavaScript format ("1234.5").
+	 * The text is returned as is, if it is not a valid number.
+	 * @private
+	 */
+	parseNumberValue(text) {
+		const number = parseNumber(text);
+		return Number.isNaN(number) ? text : String(number);
+	}
+
 	getInputValue() {
 		const inputDOM = this.getDomRef();
 		if (inputDOM) {
@@ -659,8 +698,37 @@ class Input extends UI5Element {
 		return this.i18nBundle.getText(INPUT_SUGGESTIONS_TITLE);
 	}
 
+	/**
+	 * Whether the number is displayed and typed in the format of the current locale.
+	 * The native number input accepts "." as decimal separator only, so a text input is used for locales such as German ("1.234,5").
+	 */
+	get _isLocaleNumber() {
+		return this.type === InputType.Number && getDecimalSeparator() !== ".";
+	}
+
 	get inputType() {
-		return this.type.toLowerCase();
+		return this._isLocaleNumber ? "text" : this.type.toLowerCase();
+	}
+
+	get _inputMode() {
+		return this._isLocaleNumber ? "decimal" : undefined;
+	}
+
+	/**
+	 * The value, displayed in the native input.
+	 * For type <code>Number</code>, the number is displayed in the format of the current locale, unless the user is typing.
+	 */
+	get _innerValue() {
+		if (!this._isLocaleNumber) {
+			return this.value;
+		}
+
+		if (this._numberText !== undefined) {
+			return this._numberText;
+		}
+
+		const number = Number(this.value);
+		return this.value.trim() && !Number.isNaN(number) ? formatFloat(number) : this.value;
 	}
 
 	get suggestionsTextId() {
@@ -703,7 +771,11 @@ class Input extends UI5Element {
 	}
 
 	static async onDefine() {
-		await fetchI18nBundle("@ui5/webcomponents");
+		// The CLDR data provides the number format for type "Number"
+		await Promise.all([
+			fetchCldr(getLocale().getLanguage(), getLocale().getRegion(), getLocale().getScript()),
+			fetchI18nBundle("@ui5/webcomponents"),
+		]);
 	}
 }
 
@@ -100,6 +100,7 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Label";</code>
  *
+ * @csspart root - Used to style the native label element
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Label
@@ -154,6 +154,7 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Link";</code>
  *
+ * @csspart link - Used to style the native anchor element
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Link
@@ -210,6 +210,10 @@ const metadata = {
  * <br>
  * <code>import "@ui5/webcomponents/dist/GroupHeaderListItem.js";</code> (for <code>ui5-li-group-header</code>)
  *
+ * @csspart root - Used to style the root DOM element of the list
+ * @csspart header - Used to style the <code>headerText</code>
+ * @csspart no-data - Used to style the <code>noDataText</code>
+ * @csspart footer - Used to style the <code>footerText</code>
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.List
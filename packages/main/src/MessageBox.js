@@ -0,0 +1,163 @@
+import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
+import Dialog from "./Dialog.js";
+import Button from "./Button.js";
+import ButtonDesign from "./types/ButtonDesign.js";
+import MessageBoxAction from "./types/MessageBoxAction.js";
+import {
+	MESSAGE_BOX_ACTION_OK,
+	MESSAGE_BOX_ACTION_CANCEL,
+	MESSAGE_BOX_ACTION_YES,
+	MESSAGE_BOX_ACTION_NO,
+	MESSAGE_BOX_ACTION_CLOSE,
+	MESSAGE_BOX_TITLE_CONFIRMATION,
+	MESSAGE_BOX_TITLE_INFORMATION,
+	MESSAGE_BOX_TITLE_ERROR,
+} from "./generated/i18n/i18n-defaults.js";
+
+const ACTION_TEXTS = {
+	[MessageBoxAction.OK]: MESSAGE_BOX_ACTION_OK,
+	[MessageBoxAction.Cancel]: MESSAGE_BOX_ACTION_CANCEL,
+	[MessageBoxAction.Yes]: MESSAGE_BOX_ACTION_YES,
+	[MessageBoxAction.No]: MESSAGE_BOX_ACTION_NO,
+	[MessageBoxAction.Close]: MESSAGE_BOX_ACTION_CLOSE,
+};
+
+// The text and the buttons are styled by the dialog (see themes/MessageBox.css)
+const createContent = text => {
+	const content = document.createElement("div");
+
+	content.textContent = text;
+	content.className = "ui5-message-box-text";
+
+	return content;
+};
+
+const createButtons = (actions, emphasizedAction, onPress) => {
+	const i18nBundle = getI18nBundle("@ui5/webcomponents");
+
+	return actions.map(action => {
+		const button = document.createElement(Button.getMetadata().getTag());
+
+		// the predefined actions have translated texts, the custom ones are displayed as they are
+		button.textContent = ACTION_TEXTS[action] ? i18nBundle.getText(ACTION_TEXTS[action]) : action;
+		button.design = action === emphasizedAction ? ButtonDesign.Emphasized : ButtonDesign.Transparent;
+		button.slot = "footer";
+		button.className = "ui5-message-box-button";
+		button.addEventListener("click", () => onPress(action));
+
+		return button;
+	});
+};
+
+/**
+ * Opens a <code>ui5-dialog</code> with the given text and a button for each action,
+ * and removes it from the DOM, once closed.
+ *
+ * @public
+ * @param {Object} options
+ * @param {string} options.text the message
+ * @param {string} options.title the header text of the dialog
+ * @param {string} options.state the state of the dialog: "None", "Error", "Warning" or "Success"
+ * @param {Array} options.actions the actions - the predefined ones (see <code>MessageBoxAction</code>) or any other texts
+ * @param {string} options.emphasizedAction the action, displayed as an emphasized button, defaults to the first action
+ * @returns {Promise} resolved with the pressed action, or <code>null</code> if the dialog is closed with the Escape key
+ */
+const show = async ({
+	text,
+	title,
+	state = ValueState.None,
+	actions = [MessageBoxAction.OK],
+	emphasizedAction = actions[0],
+}) => {
+	await fetchI18nBundle("@ui5/webcomponents");
+
+	const dialog = document.createElement(Dialog.getMetadata().getTag());
+	let pressedAction = null;
+
+	dialog.className = "ui5-message-box";
+	dialog.headerText = title;
+	dialog.state = state;
+	dialog.appendChild(createContent(text));
+	createButtons(actions, emphasizedAction, action => {
+		pressedAction = action;
+		dialog.close();
+	}).forEach(button => dialog.appendChild(button));
+
+	document.body.appendChild(dialog);
+
+	return new Promise(resolve => {
+		dialog.addEventListener("ui5-afterClose", () => {
+			document.body.removeChild(dialog);
+			resolve(pressedAction);
+		});
+
+		dialog.open();
+	});
+};
+
+/**
+ * Opens a confirmation message box with "OK" and "Cancel" actions, unless others are specified in the options.
+ *
+ * @public
+ * @param {string} text the message
+ * @param {Object} options the title, state, actions and emphasized action (see <code>show</code>)
+ * @returns {Promise} resolved with the pressed action, or <code>null</code> if the message box is closed with the Escape key
+ */
+const confirm = async (text, options) => {
+	await fetchI18nBundle("@ui5/webcomponents");
+	const i18nBundle = getI18nBundle("@ui5/webcomponents");
+
+	return show(Object.assign({
+		text,
+		title: i18nBundle.getText(MESSAGE_BOX_TITLE_CONFIRMATION),
+		actions: [MessageBoxAction.OK, MessageBoxAction.Cancel],
+	}, options));
+};
+
+/**
+ * Opens an information message box with an "OK" action, unless others are specified in the options.
+ * The message box has no state by default, so it is announced as a regular dialog.
+ *
+ * @public
+ * @param {string} text the message
+ * @param {Object} options the title, state, actions and emphasized action (see <code>show</code>)
+ * @returns {Promise} resolved with the pressed action, or <code>null</code> if the message box is closed with the Escape key
+ */
+const alert = async (text, options) => {
+	await fetchI18nBundle("@ui5/webcomponents");
+	const i18nBundle = getI18nBundle("@ui5/webcomponents");
+
+	return show(Object.assign({
+		text,
+		title: i18nBundle.getText(MESSAGE_BOX_TITLE_INFORMATION),
+		actions: [MessageBoxAction.OK],
+	}, options));
+};
+
+/**
+ * Opens an error message box with a "Close" action, unless others are specified in the options.
+ *
+ * @public
+ * @param {string} text the message
+ * @param {Object} options the title, state, actions and emphasized action (see <code>show</code>)
+ * @returns {Promise} resolved with the pressed action, or <code>null</code> if the message box is closed with the Escape key
+ */
+const error = async (text, options) => {
+	await fetchI18nBundle("@ui5/webcomponents");
+	const i18nBundle = getI18nBundle("@ui5/webcomponents");
+
+	return show(Object.assign({
+		text,
+		title: i18nBundle.getText(MESSAGE_BOX_TITLE_ERROR),
+		state: ValueState.Error,
+		actions: [MessageBoxAction.Close],
+	}, options));
+};
+
+export {
+	show,
+	confirm,
+	alert,
+	error,
+};
@@ -124,6 +124,10 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/MessageStrip";</code>
  *
+ * @csspart root - Used to style the root DOM element of the message strip
+ * @csspart icon - Used to style the icon
+ * @csspart text - Used to style the text
+ * @csspart close-button - Used to style the close button
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.MessageStrip
@@ -127,8 +127,6 @@ class MonthPicker extends UI5Element {
 
 	constructor() {
 		super();
-		this._oLocale = getFormatLocale();
-		this._oLocaleData = new LocaleData(this._oLocale);
 
 		this._itemNav = new ItemNavigation(this, { rowSize: 3, behavior: ItemNavigationBehavior.Cyclic });
 		this._itemNav.getItemsCallback = function getItemsCallback() {
@@ -203,6 +201,14 @@ class MonthPicker extends UI5Element {
 		return this._calendarDate.getMonth();
 	}
 
+	get _oLocale() {
+		return getFormatLocale();
+	}
+
+	get _oLocaleData() {
+		return LocaleData.getInstance(this._oLocale);
+	}
+
 	get _primaryCalendarType() {
 		return this.primaryCalendarType || getCalendarType() || LocaleData.getInstance(getLocale()).getPreferredCalendarType();
 	}
@@ -5,7 +5,6 @@ import {
 	isShow, isDown, isBackSpace, isSpace,
 } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
 import "@ui5/webcomponents-icons/dist/icons/slim-arrow-down.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { isIE, isPhone } from "@ui5/webcomponents-base/dist/Device.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import Tokenizer from "./Tokenizer.js";
@@ -270,6 +269,11 @@ const metadata = {
  * <code>import "@ui5/webcomponents/dist/MultiComboBox";</code>
  *
  *
+ * @csspart root - Used to style the root DOM element of the multi combo box
+ * @csspart tokenizer - Used to style the tokenizer, holding the tokens of the selected items
+ * @csspart token-{index} - Used to style each token, f.e. <code>token-0</code> for the first one
+ * @csspart input - Used to style the native input element
+ * @csspart icon - Used to style the dropdown icon
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.MultiComboBox
@@ -410,7 +414,7 @@ class MultiComboBox extends UI5Element {
 	}
 
 	_tokenizerFocusOut() {
-		const tokenizer = this.shadowRoot.querySelector("ui5-tokenizer");
+		const tokenizer = this.shadowRoot.querySelector(Tokenizer.getMetadata().getTag());
 		const tokensCount = tokenizer.tokens.length - 1;
 
 		tokenizer.tokens.forEach(token => { token.selected = false; });
@@ -587,7 +591,7 @@ class MultiComboBox extends UI5Element {
 	}
 
 	get _tokenizer() {
-		return this.shadowRoot.querySelector("ui5-tokenizer");
+		return this.shadowRoot.querySelector(Tokenizer.getMetadata().getTag());
 	}
 
 	get nMoreCountText() {
@@ -619,7 +623,7 @@ class MultiComboBox extends UI5Element {
 	}
 
 	get dir() {
-		return getRTL() ? "rtl" : "ltr";
+		return this.effectiveDir;
 	}
 
 	get selectedItemsListMode() {
@@ -177,6 +177,9 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Panel";</code>
  *
+ * @csspart header - Used to style the header of the panel
+ * @csspart header-title - Used to style the <code>headerText</code> (when the <code>header</code> slot is not used)
+ * @csspart content - Used to style the content of the panel
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Panel
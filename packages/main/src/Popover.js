@@ -263,6 +263,10 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Popover.js";</code>
  *
+ * @csspart header - Used to style the header of the popover
+ * @csspart content - Used to style the content of the popover
+ * @csspart footer - Used to style the footer of the popover
+ * @csspart arrow - Used to style the arrow of the popover
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Popover
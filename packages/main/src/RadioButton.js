@@ -1,5 +1,4 @@
 import { isDesktop } from "@ui5/webcomponents-base/dist/Device.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
@@ -30,6 +29,7 @@ import radioButtonCss from "./generated/themes/RadioButton.css.js";
  */
 const metadata = {
 	tag: "ui5-radiobutton",
+	formAssociated: true,
 	properties: /** @lends sap.ui.webcomponents.main.RadioButton.prototype */  {
 
 		/**
@@ -191,6 +191,9 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/RadioButton";</code>
  *
+ * @csspart root - Used to style the root DOM element of the radio button
+ * @csspart radio - Used to style the radio circle
+ * @csspart label - Used to style the label
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.RadioButton
@@ -396,7 +399,7 @@ class RadioButton extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 }
 
@@ -125,7 +125,7 @@ class ResponsivePopover extends Popover {
 	}
 
 	get _dialog() {
-		return this.shadowRoot.querySelector("ui5-dialog");
+		return this.shadowRoot.querySelector(Dialog.getMetadata().getTag());
 	}
 
 	get _isPhone() {
@@ -92,21 +92,12 @@ class SegmentedButton extends UI5Element {
 	constructor() {
 		super();
 		this.initItemNavigation();
+		ResizeHandler.observe(this, this._handleResize.bind(this), document.body);
 
 		this.absoluteWidthSet = false; // set to true whenever we set absolute width to the component
 		this.percentageWidthSet = false; //  set to true whenever we set 100% width to the component
 	}
 
-	onEnterDOM() {
-		this._handleResizeBound = this._handleResize.bind(this);
-
-		ResizeHandler.register(document.body, this._handleResizeBound);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(document.body, this._handleResizeBound);
-	}
-
 	onBeforeRendering() {
 		this.normalizeSelection();
 	}
@@ -9,7 +9,6 @@ import {
 	isShow,
 } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
 import { getFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
 import "@ui5/webcomponents-icons/dist/icons/slim-arrow-down.js";
 import { getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
@@ -35,6 +34,7 @@ import ResponsivePopoverCommonCss from "./generated/themes/ResponsivePopoverComm
  */
 const metadata = {
 	tag: "ui5-select",
+	formAssociated: true,
 	slots: /** @lends sap.ui.webcomponents.main.Select.prototype */ {
 
 		/**
@@ -158,6 +158,9 @@ const metadata = {
  * <code>import "@ui5/webcomponents/dist/Select";</code>
  * <br>
  * <code>import "@ui5/webcomponents/dist/Option";</code>
+ * @csspart root - Used to style the root DOM element of the select
+ * @csspart label - Used to style the container of the selected option text
+ * @csspart icon - Used to style the dropdown icon
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Select
@@ -221,7 +224,7 @@ class Select extends UI5Element {
 	}
 
 	get _respPopover() {
-		return this.getStaticAreaItemDomRef().querySelector("ui5-responsive-popover");
+		return this.getStaticAreaItemDomRef().querySelector(ResponsivePopover.getMetadata().getTag());
 	}
 
 	/**
@@ -298,6 +301,20 @@ class Select extends UI5Element {
 		}
 	}
 
+	/**
+	 * Used by the form association feature on form reset and state restoration
+	 * @private
+	 */
+	_getFormState() {
+		return { selectedIndex: this._selectedIndex };
+	}
+
+	_setFormState(state) {
+		this.options.forEach((option, index) => {
+			option.selected = index === state.selectedIndex;
+		});
+	}
+
 	_onkeydown(event) {
 		if (isShow(event)) {
 			this._toggleRespPopover();
@@ -425,7 +442,7 @@ class Select extends UI5Element {
 	}
 
 	get dir() {
-		return getRTL() ? "rtl" : "ltr";
+		return this.effectiveDir;
 	}
 
 	static async onDefine() {
@@ -116,6 +116,13 @@ const metadata = {
  * providing the most common use cases such as <code>text</code>,
  * <code>image</code> and <code>icon</code>.
  *
+ * @csspart root - Used to style the root DOM element of the list item
+ * @csspart content - Used to style the content of the list item
+ * @csspart title - Used to style the title of the list item
+ * @csspart description - Used to style the description of the list item
+ * @csspart info - Used to style the info text of the list item
+ * @csspart img - Used to style the image of the list item
+ * @csspart icon - Used to style the icon of the list item
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.StandardListItem
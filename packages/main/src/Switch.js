@@ -2,7 +2,6 @@ import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import { isSpace, isEnter } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
 import { isDesktop } from "@ui5/webcomponents-base/dist/Device.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import "@ui5/webcomponents-icons/dist/icons/accept.js";
 import "@ui5/webcomponents-icons/dist/icons/decline.js";
@@ -127,6 +126,11 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Switch";</code>
  *
+ * @csspart root - Used to style the root DOM element of the switch
+ * @csspart track - Used to style the track of the switch
+ * @csspart handle - Used to style the handle of the switch
+ * @csspart text-on - Used to style the text or icon of the switch, when checked
+ * @csspart text-off - Used to style the text or icon of the switch, when not checked
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Switch
@@ -218,7 +222,7 @@ class Switch extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	get accessibilityOnText() {
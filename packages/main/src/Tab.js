@@ -1,5 +1,6 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
+import { getPseudoLocalizedText } from "@ui5/webcomponents-base/dist/config/PseudoLocalization.js";
 import SemanticColor from "./types/SemanticColor.js";
 import Icon from "./Icon.js";
 import TabTemplate from "./generated/templates/TabTemplate.lit.js";
@@ -149,6 +150,15 @@ class Tab extends UI5Element {
 		return false;
 	}
 
+	// The texts, as displayed by the ui5-tabcontainer (pseudo-localized, if the pseudo-localization is turned on)
+	get _displayText() {
+		return getPseudoLocalizedText(this.text);
+	}
+
+	get _displayAdditionalText() {
+		return getPseudoLocalizedText(this.additionalText);
+	}
+
 	getFocusDomRef() {
 		let focusedDomRef = super.getFocusDomRef();
 
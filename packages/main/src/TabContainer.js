@@ -4,7 +4,6 @@ import ResizeHandler from "@ui5/webcomponents-base/dist/delegate/ResizeHandler.j
 import ScrollEnablement from "@ui5/webcomponents-base/dist/delegate/ScrollEnablement.js";
 import ItemNavigation from "@ui5/webcomponents-base/dist/delegate/ItemNavigation.js";
 import { isSpace, isEnter } from "@ui5/webcomponents-base/dist/events/PseudoEvents.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
 import "@ui5/webcomponents-icons/dist/icons/slim-arrow-down.js";
 import "@ui5/webcomponents-icons/dist/icons/slim-arrow-left.js";
@@ -152,6 +151,9 @@ const metadata = {
  * <br>
  * <code>import "@ui5/webcomponents/dist/TabSeparator";</code> (for <code>ui5-tab-separator</code>)
  *
+ * @csspart header - Used to style the tab strip
+ * @csspart tab - Used to style each tab in the tab strip
+ * @csspart content - Used to style the content area
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.TabContainer
@@ -188,7 +190,7 @@ class TabContainer extends UI5Element {
 	constructor() {
 		super();
 
-		this._handleHeaderResize = this._handleHeaderResize.bind(this);
+		ResizeHandler.observe(this, this._handleHeaderResize.bind(this), () => this._getHeader());
 
 		// Init ScrollEnablement
 		this._scrollEnablement = new ScrollEnablement(this);
@@ -253,14 +255,6 @@ class TabContainer extends UI5Element {
 		this._updateScrolling();
 	}
 
-	onEnterDOM() {
-		ResizeHandler.register(this._getHeader(), this._handleHeaderResize);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(this._getHeader(), this._handleHeaderResize);
-	}
-
 	_onHeaderItemKeyDown(event) {
 		if (isEnter(event)) {
 			this._onHeaderItemSelect(event);
@@ -433,7 +427,7 @@ class TabContainer extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	static async onDefine() {
@@ -160,6 +160,8 @@ const metadata = {
  * <br>
  * <code>import "@ui5/webcomponents/dist/TableCell.js";</code> (for <code>ui5-table-cell</code>)
  *
+ * @csspart header-row - Used to style the row of column headers
+ * @csspart no-data - Used to style the <code>noDataText</code>
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Table
@@ -200,7 +202,7 @@ class Table extends UI5Element {
 		this.fnOnRowFocused = this.onRowFocused.bind(this);
 		this.fnOnRowClick = this.onRowClick.bind(this);
 
-		this._handleResize = this.popinContent.bind(this);
+		ResizeHandler.observe(this, this.popinContent.bind(this));
 	}
 
 	onBeforeRendering() {
@@ -224,14 +226,6 @@ class Table extends UI5Element {
 		this.visibleColumnsCount = this.visibleColumns.length;
 	}
 
-	onEnterDOM() {
-		ResizeHandler.register(this.getDomRef(), this._handleResize);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(this.getDomRef(), this._handleResize);
-	}
-
 	onRowFocused(event) {
 		this._itemNavigation.update(event.target);
 	}
@@ -95,6 +95,7 @@ const metadata = {
  * The <code>ui5-table-column</code> component allows to define column specific properties that are applied
  * when rendering the <code>ui5-table</code> component.
  *
+ * @csspart root - Used to style the content of the column header
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.TableColumn
@@ -1,5 +1,6 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
+import TableCell from "./TableCell.js";
 import TableRowTemplate from "./generated/templates/TableRowTemplate.lit.js";
 
 // Styles
@@ -79,7 +80,7 @@ class TableRow extends UI5Element {
 	}
 
 	_onfocusin(event, forceSelfFocus = false) {
-		if (forceSelfFocus || this._getActiveElementTagName() === "ui5-table-cell") {
+		if (forceSelfFocus || this._getActiveElementTagName() === TableCell.getMetadata().getTag()) {
 			this.getDomRef().focus();
 		}
 
@@ -16,6 +16,7 @@ import styles from "./generated/themes/TextArea.css.js";
  */
 const metadata = {
 	tag: "ui5-textarea",
+	formAssociated: true,
 	properties: /** @lends sap.ui.webcomponents.main.TextArea.prototype */ {
 		/**
 		 * Defines the value of the Web Component.
@@ -229,6 +230,9 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/TextArea";</code>
  *
+ * @csspart root - Used to style the root DOM element of the text area
+ * @csspart textarea - Used to style the native textarea element
+ * @csspart exceeded-text - Used to style the text, displayed when <code>showExceededText</code> is set
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.TextArea
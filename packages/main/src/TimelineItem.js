@@ -1,6 +1,5 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import Icon from "./Icon.js";
 import Link from "./Link.js";
 import TimelineItemTemplate from "./generated/templates/TimelineItemTemplate.lit.js";
@@ -112,6 +111,11 @@ const metadata = {
  *
  * An entry posted on the timeline.
  *
+ * @csspart icon - Used to style the icon
+ * @csspart bubble - Used to style the bubble, holding the texts
+ * @csspart title - Used to style the title
+ * @csspart subtitle - Used to style the subtitle
+ * @csspart description - Used to style the container of the description
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.TimelineItem
@@ -145,7 +149,7 @@ class TimelineItem extends UI5Element {
 	}
 
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	static async onDefine() {
@@ -66,6 +66,7 @@ const metadata = {
  *
  * <code>import "@ui5/webcomponents/dist/Title";</code>
  *
+ * @csspart root - Used to style the heading element
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Title
@@ -1,9 +1,10 @@
 import Integer from "@ui5/webcomponents-base/dist/types/Integer.js";
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
 import ToastTemplate from "./generated/templates/ToastTemplate.lit.js";
 import ToastPlacement from "./types/ToastPlacement.js";
+import Button from "./Button.js";
+import { _showToast, _onToastClosed, _updateToastOffsets } from "./ToastManager.js";
 
 // Styles
 import ToastCss from "./generated/themes/Toast.css.js";
@@ -60,6 +61,22 @@ const metadata = {
 			defaultValue: ToastPlacement.BottomCenter,
 		},
 
+		/**
+		 * Defines the text of an action button, displayed next to the text of the <code>ui5-toast</code>, f.e. "Undo".
+		 * When pressed, the <code>actionClick</code> event is fired and the <code>ui5-toast</code> is closed.
+		 * <br><br>
+		 * <b>Note:</b> The <code>ui5-toast</code> does not close automatically, while it is hovered or focused,
+		 * so that the user has enough time to press the action button.
+		 *
+		 * @type {string}
+		 * @defaultvalue ""
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		actionText: {
+			type: String,
+		},
+
 		/**
 		 * Indicates whether <code>ui5-toast</code> is open (visible).
 		 * @type {boolean}
@@ -68,6 +85,35 @@ const metadata = {
 		open: {
 			type: Boolean,
 		},
+
+		/**
+		 * The distance in pixels from the position, defined by the placement, when several toasts are stacked
+		 * @private
+		 */
+		_offset: {
+			type: Integer,
+			defaultValue: 0,
+			noAttribute: true,
+		},
+
+		/**
+		 * Indicates whether the closing is paused, while the toast is hovered or focused
+		 * @private
+		 */
+		_paused: {
+			type: Boolean,
+			noAttribute: true,
+		},
+	},
+	events: /** @lends sap.ui.webcomponents.main.Toast.prototype */ {
+		/**
+		 * Fired when the action button is pressed.
+		 *
+		 * @event
+		 * @public
+		 * @since 1.0.0-rc.6
+		 */
+		actionClick: {},
 	},
 	slots: /** @lends sap.ui.webcomponents.main.Toast.prototype */ {
 		/**
@@ -109,10 +155,18 @@ const metadata = {
  * <li>You want users to be able to copy some part of the message text.</li>
  * </ul>
  *
+ * <h3>Stacking</h3>
+ * When several toasts with the same placement are shown at the same time, they are stacked.
+ * Up to 3 toasts are visible for each placement, the next ones are queued and shown, once a visible one closes.
+ * The maximum can be changed with <code>setMaxVisibleToasts</code> from the <code>ToastManager</code> module.
+ * <br>
+ * The texts of the toasts are announced by screen readers via a live region.
+ *
  * <h3>ES6 Module Import</h3>
  *
  * <code>import "@ui5/webcomponents/dist/Toast";</code>
  *
+ * @csspart content - Used to style the content of the toast
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Toast
@@ -146,6 +200,10 @@ class Toast extends UI5Element {
 		return MINIMUM_ALLOWED_DURATION_IN_MILLISECONDS;
 	}
 
+	static async onDefine() {
+		await Button.define();
+	}
+
 	onBeforeRendering() {
 		// If the minimum duration is lower than 500ms, we force
 		// it to be 500ms, as described in the documentation.
@@ -159,10 +217,22 @@ class Toast extends UI5Element {
 			this._reopen = false;
 			this._initiateOpening();
 		}
+
+		if (this.open) {
+			_updateToastOffsets(this.placement);
+		}
+	}
+
+	onExitDOM() {
+		if (this.open) {
+			this.open = false;
+			_onToastClosed(this);
+		}
 	}
 
 	/**
 	 * Shows the <code>ui5-toast</code>.
+	 * If the maximum number of toasts is already visible for its placement, it is shown, once one of them closes.
 	 * @public
 	 */
 	show() {
@@ -174,12 +244,21 @@ class Toast extends UI5Element {
 			this._reopen = true;
 			this.open = false;
 		} else {
-			this._initiateOpening();
+			_showToast(this);
 		}
 	}
 
+	getContentHeight() {
+		const content = this.shadowRoot.querySelector(".ui5-toast-content");
+		return content ? content.offsetHeight : 0;
+	}
+
+	get announcementText() {
+		return [this.textContent.trim(), this.actionText].filter(text => text).join(" ");
+	}
+
 	get rtl() {
-		return getRTL() ? "rtl" : undefined;
+		return this.effectiveDir === "rtl" ? "rtl" : undefined;
 	}
 
 	get styles() {
@@ -187,16 +266,24 @@ class Toast extends UI5Element {
 		// property, but not bigger than the maximum allowed (1000ms).
 		const transitionDuration = Math.min(this.duration / 3, Toast.maximumAllowedTransition);
 
+		// While paused, the toast is fully visible and the transition starts anew, once resumed
+		const isClosing = this.open && !this._paused;
+
+		// The stacked toasts are moved away from the edge of the screen - up for the bottom placements and down for all others
+		const direction = this.placement.startsWith("Bottom") ? -1 : 1;
+
 		return {
 			root: {
-				"transition-duration": this.open ? `${transitionDuration}ms` : "",
+				"transition-duration": isClosing ? `${transitionDuration}ms` : "",
 
 				// Transition delay is the duration property minus the
 				// transition duration (animation).
-				"transition-delay": this.open ? `${this.duration - transitionDuration}ms` : "",
+				"transition-delay": isClosing ? `${this.duration - transitionDuration}ms` : "",
 
 				// We alter the opacity property, in order to trigger transition
-				"opacity": this.open ? "0" : "",
+				"opacity": isClosing ? "0" : "",
+
+				"transform": this._offset ? `translateY(${direction * this._offset}px)` : "",
 			},
 		};
 	}
@@ -207,8 +294,50 @@ class Toast extends UI5Element {
 		});
 	}
 
-	_ontransitionend() {
+	_close() {
 		this.open = false;
+		this._hovered = false;
+		this._focused = false;
+		this._updatePaused();
+		_onToastClosed(this);
+	}
+
+	_ontransitionend(event) {
+		// the transitions of the slotted content and the action button bubble up as well
+		if (event.target !== event.currentTarget || event.propertyName !== "opacity") {
+			return;
+		}
+
+		this._close();
+	}
+
+	_updatePaused() {
+		this._paused = this._hovered || this._focused;
+	}
+
+	_onmouseenter() {
+		this._hovered = true;
+		this._updatePaused();
+	}
+
+	_onmouseleave() {
+		this._hovered = false;
+		this._updatePaused();
+	}
+
+	_onfocusin() {
+		this._focused = true;
+		this._updatePaused();
+	}
+
+	_onfocusout() {
+		this._focused = false;
+		this._updatePaused();
+	}
+
+	_onActionClick() {
+		this.fireEvent("actionClick");
+		this._close();
 	}
 }
 
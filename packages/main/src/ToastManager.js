@@ -0,0 +1,129 @@
+// The space in pixels between the stacked toasts
+const STACKING_GAP = 8;
+
+// The time in milliseconds, after which the text is set in the live region, so that repeated texts are announced as well
+const ANNOUNCEMENT_DELAY = 100;
+
+let maxVisibleToasts = 3;
+let liveRegion;
+
+const visibleToasts = new Map(); // placement -> toasts, in the order of opening
+const queuedToasts = new Map(); // placement -> toasts, waiting for a visible toast to close
+
+const getToasts = (registry, placement) => {
+	if (!registry.has(placement)) {
+		registry.set(placement, []);
+	}
+
+	return registry.get(placement);
+};
+
+const removeFromRegistry = (registry, toast) => {
+	registry.forEach(toasts => {
+		const index = toasts.indexOf(toast);
+		if (index !== -1) {
+			toasts.splice(index, 1);
+		}
+	});
+};
+
+const getLiveRegion = () => {
+	if (!liveRegion) {
+		liveRegion = document.createElement("div");
+		liveRegion.className = "ui5-toast-live-region";
+		liveRegion.setAttribute("aria-live", "polite");
+		liveRegion.setAttribute("role", "status");
+		liveRegion.style.cssText = "position: absolute; clip: rect(1px,1px,1px,1px); user-select: none; left: 0; top: 0;";
+		document.body.appendChild(liveRegion);
+	}
+
+	return liveRegion;
+};
+
+const announce = text => {
+	const region = getLiveRegion();
+
+	region.textContent = "";
+	setTimeout(() => {
+		region.textContent = text;
+	}, ANNOUNCEMENT_DELAY);
+};
+
+/**
+ * Stacks the visible toasts of a placement: the first one is at the edge of the screen and each next one - further from it
+ * @private
+ */
+const _updateToastOffsets = placement => {
+	let offset = 0;
+
+	getToasts(visibleToasts, placement).forEach(toast => {
+		toast._offset = offset;
+		offset += toast.getContentHeight() + STACKING_GAP;
+	});
+};
+
+/**
+ * Opens the toast, or queues it, if the maximum number of toasts is already visible for its placement
+ * @private
+ */
+const _showToast = toast => {
+	const visible = getToasts(visibleToasts, toast.placement);
+	const queued = getToasts(queuedToasts, toast.placement);
+
+	if (visible.includes(toast) || queued.includes(toast)) {
+		return;
+	}
+
+	if (visible.length < maxVisibleToasts) {
+		visible.push(toast);
+		toast._initiateOpening();
+		announce(toast.announcementText);
+	} else {
+		queued.push(toast);
+	}
+};
+
+/**
+ * Removes the closed toast from the stack and opens the next queued toast for its placement, if any
+ * @private
+ */
+const _onToastClosed = toast => {
+	removeFromRegistry(visibleToasts, toast);
+	removeFromRegistry(queuedToasts, toast);
+
+	const next = getToasts(queuedToasts, toast.placement).shift();
+	if (next) {
+		_showToast(next);
+	}
+
+	_updateToastOffsets(toast.placement);
+};
+
+/**
+ * Sets the maximum number of toasts, visible at the same time for each placement. The next toasts are queued
+ * and opened, once a visible one closes. Set to <code>1</code> to show the toasts one after another.
+ *
+ * @public
+ * @param {number} count the maximum number of visible toasts, 3 by default
+ */
+const setMaxVisibleToasts = count => {
+	maxVisibleToasts = Math.max(1, count);
+};
+
+/**
+ * Returns the maximum number of toasts, visible at the same time for each placement.
+ *
+ * @public
+ * @returns {number}
+ */
+const getMaxVisibleToasts = () => {
+	return maxVisibleToasts;
+};
+
+export {
+	setMaxVisibleToasts,
+	getMaxVisibleToasts,
+	_showToast,
+	_onToastClosed,
+	_updateToastOffsets,
+};
@@ -1,7 +1,6 @@
 import UI5Element from "@ui5/webcomponents-base/dist/UI5Element.js";
 import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
-import { getTheme } from "@ui5/webcomponents-base/dist/config/Theme.js";
-import { getRTL } from "@ui5/webcomponents-base/dist/config/RTL.js";
+import { isTheme } from "@ui5/webcomponents-base/dist/config/Theme.js";
 import {
 	isBackSpace,
 	isEnter,
@@ -97,6 +96,9 @@ const metadata = {
  *
  * Tokens are small items of information (similar to tags) that mainly serve to visualize previously selected items.
  *
+ * @csspart root - Used to style the root DOM element of the token
+ * @csspart text - Used to style the text of the token
+ * @csspart delete-icon - Used to style the delete icon
  * @constructor
  * @author SAP SE
  * @alias sap.ui.webcomponents.main.Token
@@ -159,11 +161,11 @@ class Token extends UI5Element {
 	}
 
 	get dir() {
-		return getRTL() ? "rtl" : "ltr";
+		return this.effectiveDir;
 	}
 
 	get iconURI() {
-		return getTheme() === "sap_fiori_3" ? "decline" : "sys-cancel";
+		return isTheme("sap_fiori_3") ? "decline" : "sys-cancel";
 	}
 
 	static async onDefine() {
@@ -3,6 +3,9 @@ import litRender from "@ui5/webcomponents-base/dist/renderer/LitRenderer.js";
 import ResizeHandler from "@ui5/webcomponents-base/dist/delegate/ResizeHandler.js";
 import ItemNavigation from "@ui5/webcomponents-base/dist/delegate/ItemNavigation.js";
 import { fetchI18nBundle, getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import { fetchCldr } from "@ui5/webcomponents-base/dist/asset-registries/LocaleData.js";
+import "@ui5/webcomponents-base/dist/features/LocaleMessageFormat.js";
+import { getLocale } from "@ui5/webcomponents-base/dist/LocaleProvider.js";
 import TokenizerTemplate from "./generated/templates/TokenizerTemplate.lit.js";
 import { MULTIINPUT_SHOW_MORE_TOKENS, TOKENIZER_ARIA_LABEL } from "./generated/i18n/i18n-defaults.js";
 
@@ -92,7 +95,7 @@ class Tokenizer extends UI5Element {
 		super();
 
 		this._tokensCount = 0;
-		this._resizeHandler = this._handleResize.bind(this);
+		ResizeHandler.observe(this, this._handleResize.bind(this), () => this.shadowRoot.querySelector(".ui5-tokenizer--content"));
 		this._itemNav = new ItemNavigation(this);
 
 		this._itemNav.getItemsCallback = () => {
@@ -111,19 +114,11 @@ class Tokenizer extends UI5Element {
 	onBeforeRendering() {
 		setTimeout(() => {
 			// wait for the layouting and update the text
-			this._nMoreText = this.i18nBundle.getText(MULTIINPUT_SHOW_MORE_TOKENS, [this.overflownTokens.length]);
+			this._nMoreText = this.i18nBundle.getText(MULTIINPUT_SHOW_MORE_TOKENS, this.overflownTokens.length);
 		}, 0);
 	}
 
 
-	onEnterDOM() {
-		ResizeHandler.register(this.shadowRoot.querySelector(".ui5-tokenizer--content"), this._resizeHandler);
-	}
-
-	onExitDOM() {
-		ResizeHandler.deregister(this.shadowRoot.querySelector(".ui5-tokenizer--content"), this._resizeHandler);
-	}
-
 	_openOverflowPopover() {
 		this.fireEvent("showMoreItemsPress");
 	}
@@ -218,7 +213,11 @@ class Tokenizer extends UI5Element {
 	}
 
 	static async onDefine() {
-		await fetchI18nBundle("@ui5/webcomponents");
+		// The CLDR data provides the number format and the plural rules for the "N More" text
+		await Promise.all([
+			fetchCldr(getLocale().getLanguage(), getLocale().getRegion(), getLocale().getScript()),
+			fetchI18nBundle("@ui5/webcomponents"),
+		]);
 	}
 }
 
@@ -132,8 +132,6 @@ class YearPicker extends UI5Element {
 	constructor() {
 		super();
 
-		this._oLocale = getFormatLocale();
-
 		this._itemNav = new ItemNavigation(this, { rowSize: 4 });
 		this._itemNav.getItemsCallback = function getItemsCallback() {
 			const focusableYears = [];
@@ -228,6 +226,10 @@ class YearPicker extends UI5Element {
 		return this._calendarDate.getYear();
 	}
 
+	get _oLocale() {
+		return getFormatLocale();
+	}
+
 	get _primaryCalendarType() {
 		return this.primaryCalendarType || getCalendarType() || LocaleData.getInstance(getLocale()).getPreferredCalendarType();
 	}
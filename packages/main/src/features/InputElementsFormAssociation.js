@@ -0,0 +1,162 @@
+import { registerFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.js";
+import { getI18nBundle } from "@ui5/webcomponents-base/dist/i18nBundle.js";
+import ValueState from "@ui5/webcomponents-base/dist/types/ValueState.js";
+import FormSupport from "./InputElementsFormSupport.js";
+import {
+	FORM_VALUE_MISSING,
+	FORM_VALUE_TOO_LONG,
+	VALUE_STATE_ERROR,
+} from "../generated/i18n/i18n-defaults.js";
+
+// Properties that describe the state of a form-associated element, used for form reset and state restoration
+const FORM_STATE_PROPERTIES = ["value", "checked", "selected"];
+
+const isElementInternalsSupported = typeof HTMLElement.prototype.attachInternals === "function";
+
+// The state of each element, as it was when first rendered - restored on form reset
+const initialFormStates = new WeakMap();
+
+// The tags, for which the import order error was already logged
+const notAssociatedTags = new Set();
+
+/**
+ * The browser reads "formAssociated" only once, when the tag is defined. If the tag was defined before this module was imported,
+ * the element can not become form-associated, and the hidden inputs approach is used instead.
+ */
+const reportNotAssociated = element => {
+	const tag = element.constructor.getMetadata().getTag();
+	if (notAssociatedTags.has(tag)) {
+		return;
+	}
+
+	notAssociatedTags.add(tag);
+	console.error(`"${tag}" was defined before "@ui5/webcomponents/dist/features/InputElementsFormAssociation.js" was imported and is not form-associated. Import the feature before the components.`); // eslint-disable-line
+};
+
+/**
+ * Form support, based on ElementInternals (form-associated custom elements).
+ * Instead of hidden inputs in the light DOM, the components participate in the forms natively:
+ * <code>FormData</code>, <code>form.reset()</code>, state restoration, <code>:invalid</code> and <code>checkValidity()</code>.
+ *
+ * In browsers without ElementInternals, the hidden inputs approach is used as a fallback.
+ */
+class FormAssociation extends FormSupport {
+	static get usesElementInternals() {
+		return isElementInternalsSupported;
+	}
+
+	/**
+	 * Updates the value the element submits with its form, as well as its validity.
+	 * Keeps the signature of <code>FormSupport.syncNativeHiddenInput</code> so that components work with both features.
+	 *
+	 * @param element - the WebComponent that needs form support
+	 * @param nativeInputUpdateCallback - determines how the form value and disabled state are calculated
+	 */
+	static syncNativeHiddenInput(element, nativeInputUpdateCallback) {
+		const internals = element._internals;
+		if (!internals) {
+			if (isElementInternalsSupported && element.constructor.getMetadata().isFormAssociated()) {
+				reportNotAssociated(element);
+			}
+
+			return super.syncNativeHiddenInput(element, nativeInputUpdateCallback);
+		}
+
+		if (!initialFormStates.has(element)) {
+			initialFormStates.set(element, getFormState(element));
+		}
+
+		const formValue = {};
+		(nativeInputUpdateCallback || copyDefaultProperties)(element, formValue);
+
+		const value = formValue.disabled ? null : formValue.value;
+		internals.setFormValue(value, JSON.stringify(getFormState(element)));
+		syncValidity(element, internals, formValue.value);
+	}
+
+	static triggerFormSubmit(element) {
+		if (!element.submits) {
+			return;
+		}
+
+		const form = element.closest("form");
+		if (form && typeof form.requestSubmit === "function") {
+			form.requestSubmit();
+		} else {
+			super.triggerFormSubmit(element);
+		}
+	}
+
+	static resetFormState(element) {
+		if (initialFormStates.has(element)) {
+			setFormState(element, initialFormStates.get(element));
+		}
+	}
+
+	static restoreFormState(element, state) {
+		if (typeof state !== "string") {
+			return;
+		}
+
+		try {
+			setFormState(element, JSON.parse(state));
+		} catch (err) {
+			// the state was not set by this feature
+		}
+	}
+}
+
+const copyDefaultProperties = (element, formValue) => {
+	formValue.disabled = element.disabled;
+	formValue.value = element.value;
+};
+
+/**
+ * Components, whose state is not described by FORM_STATE_PROPERTIES, can implement _getFormState/_setFormState
+ */
+const getFormState = element => {
+	if (typeof element._getFormState === "function") {
+		return element._getFormState();
+	}
+
+	const properties = element.constructor.getMetadata().getProperties();
+	return FORM_STATE_PROPERTIES.filter(prop => properties.hasOwnProperty(prop)).reduce((state, prop) => { // eslint-disable-line
+		state[prop] = element[prop];
+		return state;
+	}, {});
+};
+
+const setFormState = (element, state) => {
+	if (typeof element._setFormState === "function") {
+		element._setFormState(state);
+		return;
+	}
+
+	Object.keys(state).forEach(prop => {
+		element[prop] = state[prop];
+	});
+};
+
+/**
+ * Maps the "required", "maxlength" and "valueState" properties to constraint validation
+ */
+const syncValidity = (element, internals, value) => {
+	const i18nBundle = getI18nBundle("@ui5/webcomponents");
+	const anchor = element.getFocusDomRef();
+	const maxlength = element.maxlength;
+
+	if (element.required && !value) {
+		internals.setValidity({ valueMissing: true }, i18nBundle.getText(FORM_VALUE_MISSING), anchor);
+	} else if (Number.isInteger(maxlength) && typeof value === "string" && value.length > maxlength) {
+		internals.setValidity({ tooLong: true }, i18nBundle.getText(FORM_VALUE_TOO_LONG, maxlength), anchor);
+	} else if (element.valueState === ValueState.Error) {
+		internals.setValidity({ customError: true }, i18nBundle.getText(VALUE_STATE_ERROR), anchor);
+	} else {
+		internals.setValidity({});
+	}
+};
+
+// Add form support to the global features registry so that Web Components can find and use it
+registerFeature("FormSupport", FormAssociation);
+
+export default FormAssociation;
@@ -2,6 +2,7 @@ import { registerFeature } from "@ui5/webcomponents-base/dist/FeaturesRegistry.j
 
 import List from "../List.js";
 import ResponsivePopover from "../ResponsivePopover.js";
+import StandardListItem from "../StandardListItem.js";
 
 /**
  * A class to manage the <code>Input</code suggestion items.
@@ -254,7 +255,7 @@ class Suggestions {
 	}
 
 	_getItems() {
-		return [].slice.call(this._respPopover.querySelectorAll("ui5-li"));
+		return [].slice.call(this._respPopover.querySelectorAll(StandardListItem.getMetadata().getTag()));
 	}
 
 	_getComponent() {
@@ -262,7 +263,7 @@ class Suggestions {
 	}
 
 	_getList() {
-		return this._getComponent().getStaticAreaItemDomRef().querySelector("ui5-responsive-popover").querySelector("ui5-list");
+		return this._getComponent().getStaticAreaItemDomRef().querySelector(ResponsivePopover.getMetadata().getTag()).querySelector(List.getMetadata().getTag());
 	}
 
 	_getRealItems() {
@@ -270,7 +271,7 @@ class Suggestions {
 	}
 
 	get _respPopover() {
-		return this._getComponent().getStaticAreaItemDomRef().querySelector("ui5-responsive-popover");
+		return this._getComponent().getStaticAreaItemDomRef().querySelector(ResponsivePopover.getMetadata().getTag());
 	}
 }
 
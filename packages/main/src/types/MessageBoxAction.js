@@ -0,0 +1,61 @@
+import DataType from "@ui5/webcomponents-base/dist/types/DataType.js";
+
+/**
+ * @lends sap.ui.webcomponents.main.types.MessageBoxAction.prototype
+ * @public
+ */
+const MessageBoxActions = {
+	/**
+	 * "OK" action
+	 * @public
+	 * @type {OK}
+	 */
+	OK: "OK",
+
+	/**
+	 * "Cancel" action
+	 * @public
+	 * @type {Cancel}
+	 */
+	Cancel: "Cancel",
+
+	/**
+	 * "Yes" action
+	 * @public
+	 * @type {Yes}
+	 */
+	Yes: "Yes",
+
+	/**
+	 * "No" action
+	 * @public
+	 * @type {No}
+	 */
+	No: "No",
+
+	/**
+	 * "Close" action
+	 * @public
+	 * @type {Close}
+	 */
+	Close: "Close",
+};
+
+/**
+ * @class
+ * Defines the actions (buttons) of the message boxes, opened with the <code>MessageBox</code> module
+ * @constructor
+ * @author SAP SE
+ * @alias sap.ui.webcomponents.main.types.MessageBoxAction
+ * @public
+ * @enum {string}
+ */
+class MessageBoxAction extends DataType {
+	static isValid(value) {
+		return !!MessageBoxActions[value];
+	}
+}
+
+MessageBoxAction.generataTypeAcessors(MessageBoxActions);
+
+export default MessageBoxAction;
@@ -0,0 +1,68 @@
+const assert = require("chai").assert;
+
+// The CSS Shadow Parts of each component, rendered in the state set on the test page
+const PARTS = {
+	avatar: ["root", "initials"],
+	badge: ["root", "text"],
+	busyIndicator: ["indicator"],
+	button: ["button", "icon", "text"],
+	card: ["root", "header", "avatar", "heading", "subheading", "status", "content"],
+	carousel: ["root", "navigation"],
+	checkBox: ["root", "box", "icon", "label"],
+	comboBox: ["root", "input", "icon"],
+	datePicker: ["input", "icon"],
+	dialog: ["header", "content", "footer"],
+	icon: ["root"],
+	input: ["root", "input", "icon"],
+	label: ["root"],
+	link: ["link"],
+	list: ["root", "header", "footer"],
+	emptyList: ["root", "no-data"],
+	li: ["root", "content", "title", "description", "info", "icon"],
+	liCustom: ["root", "content"],
+	messageStrip: ["root", "icon", "text", "close-button"],
+	multiComboBox: ["root", "tokenizer", "token-0", "input", "icon"],
+	panel: ["header", "header-title", "content"],
+	popover: ["header", "content", "footer", "arrow"],
+	radioButton: ["root", "radio", "label"],
+	select: ["root", "label", "icon"],
+	switch: ["root", "track", "handle", "text-on", "text-off"],
+	tabContainer: ["header", "tab", "content"],
+	table: ["header-row", "no-data"],
+	tableColumn: ["root"],
+	textArea: ["root", "textarea", "exceeded-text"],
+	timelineItem: ["icon", "bubble", "title", "subtitle", "description"],
+	title: ["root"],
+	toast: ["content"],
+	token: ["root", "text", "delete-icon"],
+};
+
+describe("CSS Shadow Parts", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/CSSParts.html");
+	});
+
+	it("Tests that the documented parts are rendered", () => {
+		const missingParts = browser.execute(parts => {
+			return Object.keys(parts).reduce((result, id) => {
+				const shadowRoot = document.getElementById(id).shadowRoot;
+				const missing = parts[id].filter(part => !shadowRoot.querySelector(`[part~="${part}"]`));
+
+				return missing.length ? result.concat(`${id}: ${missing.join(", ")}`) : result;
+			}, []);
+		}, PARTS);
+
+		assert.deepEqual(missingParts, [], "All parts are rendered");
+	});
+
+	it("Tests that the parts can be styled from outside the shadow DOM", () => {
+		const fontStyles = browser.execute(() => {
+			return [["button", "text"], ["messageStrip", "text"], ["li", "title"]].map(([id, part]) => {
+				const partElement = document.getElementById(id).shadowRoot.querySelector(`[part~="${part}"]`);
+				return getComputedStyle(partElement).fontStyle;
+			});
+		});
+
+		assert.deepEqual(fontStyles, ["italic", "italic", "italic"], "The parts are styled");
+	});
+});
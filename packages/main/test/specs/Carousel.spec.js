@@ -2,7 +2,9 @@ const assert = require("chai").assert;
 
 
 describe("Carousel general interaction", () => {
-	browser.url("http://localhost:8080/test-resources/pages/Carousel.html");
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Carousel.html");
+	});
 
 	it("Carousel is rendered", () => {
 		const carouselRoot = browser.$("#carousel1").shadow$(".ui5-carousel-root");
@@ -55,3 +57,80 @@ describe("Carousel general interaction", () => {
 	});
 
 });
+
+describe("Carousel autoplay, infinite loop and slotting of off-screen pages", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Carousel.html");
+	});
+
+	it("Only the items of the selected page and the pages next to it are slotted", () => {
+		const carousel = browser.$("#carousel2");
+
+		assert.strictEqual(carousel.shadow$$(".ui5-carousel-item slot").length, 2, "Only the items of the first 2 pages are slotted.");
+
+		carousel.setProperty("selectedIndex", 4);
+		assert.strictEqual(carousel.shadow$$(".ui5-carousel-item slot").length, 3, "Only the items of the 3 pages around the selected one are slotted.");
+	});
+
+	it("Infinite carousel moves from the first to the last page and fires navigate", () => {
+		const carousel = browser.$("#carousel6");
+		const carouselLeftButton = carousel.shadow$$(".ui5-carousel-navigation-button")[0];
+
+		carouselLeftButton.click();
+		assert.equal(carousel.getAttribute("selected-index"), "3", "The last page is selected.");
+		assert.strictEqual(browser.$("#navigateResult").getProperty("value"), "3", "The navigate event is fired with the selected index.");
+
+		// the pages are rotated, so that the selected one is in the middle, once the carousel has moved
+		browser.waitUntil(() => carousel.shadow$(".ui5-carousel-content").getAttribute("style").includes("left: -200%"), 2000,
+			"The selected page is moved in the middle.");
+	});
+
+	it("Autoplay shows the next page and pauses on hover", () => {
+		const carousel = browser.$("#carousel7");
+
+		browser.waitUntil(() => carousel.getProperty("selectedIndex") > 0, 2000, "The next page is shown automatically.");
+
+		carousel.moveTo();
+		const selectedIndex = carousel.getProperty("selectedIndex");
+		browser.pause(1000);
+
+		assert.strictEqual(carousel.getProperty("selectedIndex"), selectedIndex, "The autoplay is paused, while the carousel is hovered.");
+	});
+});
+
+describe("Carousel responsive items per page", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Carousel.html");
+	});
+
+	it("The items per page depend on the width of the carousel", () => {
+		const carousel = browser.$("#carousel8");
+		const setContainerWidth = width => {
+			browser.execute(width => {
+				document.getElementById("carouselContainer").style.width = width;
+			}, width);
+		};
+
+		assert.strictEqual(carousel.getProperty("items").length, 6, "1 item per page for the S size.");
+
+		setContainerWidth("800px");
+		browser.waitUntil(() => carousel.getProperty("items").length === 3, 2000, "2 items per page for the M size.");
+
+		setContainerWidth("1200px");
+		browser.waitUntil(() => carousel.getProperty("items").length === 2, 2000, "3 items per page for the L size.");
+
+		setContainerWidth("1600px");
+		browser.waitUntil(() => carousel.getProperty("items").length === 1, 2000, "6 items per page for the XL size.");
+	});
+
+	it("The items per page are used for the M, L and XL sizes without a value and the S size falls back to 1", () => {
+		const carousel = browser.$("#carousel9");
+
+		assert.strictEqual(carousel.getProperty("items").length, 2, "2 items per page for the M size.");
+
+		browser.execute(() => {
+			document.getElementById("carouselContainer2").style.width = "500px";
+		});
+		browser.waitUntil(() => carousel.getProperty("items").length === 4, 2000, "1 item per page for the S size, when itemsPerPageS is not set.");
+	});
+});
@@ -0,0 +1,57 @@
+const assert = require("chai").assert;
+
+describe("Content density", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Select.html");
+	});
+
+	const setContentDensity = contentDensity => {
+		browser.executeAsync(async (contentDensity, done) => {
+			await window["sap-ui-webcomponents-bundle"].configuration.setContentDensity(contentDensity);
+			done();
+		}, contentDensity);
+	};
+
+	it("applies compact content density to the page and the static area items", () => {
+		const staticAreaItemClassName = browser.getStaticAreaItemClassName("#mySelect");
+		const staticAreaItem = browser.$(`.${staticAreaItemClassName}`);
+		const cozyHeight = $("#mySelect").getSize("height");
+
+		setContentDensity("compact");
+
+		assert.ok(browser.execute(() => document.documentElement.hasAttribute("data-ui5-compact-size")), "The page is compact");
+		assert.ok(staticAreaItem.getAttribute("class").includes("ui5-content-density-compact"), "The static area item is compact");
+		assert.ok($("#mySelect").getSize("height") < cozyHeight, "The component is smaller");
+	});
+
+	it("applies cozy content density to the page and the static area items", () => {
+		const staticAreaItemClassName = browser.getStaticAreaItemClassName("#mySelect");
+		const staticAreaItem = browser.$(`.${staticAreaItemClassName}`);
+
+		setContentDensity("cozy");
+
+		assert.notOk(browser.execute(() => document.documentElement.hasAttribute("data-ui5-compact-size")), "The page is cozy");
+		assert.notOk(staticAreaItem.getAttribute("class").includes("ui5-content-density-compact"), "The static area item is cozy");
+	});
+
+	it("applies compact content density to a part of a cozy page and its static area items", () => {
+		const compactSelect = $("#compactSelect");
+
+		assert.ok(compactSelect.getSize("height") < $("#mySelect").getSize("height"), "The component in the compact part is smaller");
+
+		compactSelect.click();
+		const staticAreaItemClassName = browser.getStaticAreaItemClassName("#compactSelect");
+		const staticAreaItem = browser.$(`.${staticAreaItemClassName}`);
+
+		assert.ok(staticAreaItem.getAttribute("class").includes("ui5-content-density-compact"), "The static area item of the component in the compact part is compact");
+		compactSelect.keys("Escape");
+	});
+
+	it("throws on invalid content density", () => {
+		const res = browser.executeAsync(done => {
+			window["sap-ui-webcomponents-bundle"].configuration.setContentDensity("small").then(() => done(false), () => done(true));
+		});
+
+		assert.ok(res, "Invalid values are rejected");
+	});
+});
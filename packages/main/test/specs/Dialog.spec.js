@@ -1,7 +1,9 @@
 const assert = require("chai").assert;
 
 describe("Dialog general interaction", () => {
-	browser.url("http://localhost:8080/test-resources/pages/Dialog.html");
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Dialog.html");
+	});
 
 	it("tests dialog toggling", () => {
 		const btnOpenDialog = $("#btnOpenDialog");
@@ -29,3 +31,130 @@ describe("Dialog general interaction", () => {
 	});
 
 });
+
+describe("Dialog dragging and resizing", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Dialog.html");
+	});
+
+	const getDialogRoot = () => browser.$("#draggable-dialog").shadow$(".ui5-dialog-root");
+	const getGeometry = () => browser.$("#geometry").getProperty("value");
+
+	it("moves the dialog by dragging the header", () => {
+		$("#btnOpenDraggableDialog").click();
+
+		const initialLocation = getDialogRoot().getLocation();
+		const header = browser.$("#draggable-dialog").shadow$(".ui5-popup-header-root");
+		header.dragAndDrop({ x: -50, y: -30 });
+
+		const location = getDialogRoot().getLocation();
+		assert.strictEqual(Math.round(location.x), Math.round(initialLocation.x) - 50, "The dialog is moved horizontally");
+		assert.strictEqual(Math.round(location.y), Math.round(initialLocation.y) - 30, "The dialog is moved vertically");
+		assert.ok(getGeometry().startsWith("dragEnd: "), "The dragEnd event is fired");
+	});
+
+	it("keeps the dialog within the viewport", () => {
+		const header = browser.$("#draggable-dialog").shadow$(".ui5-popup-header-root");
+		header.dragAndDrop({ x: -5000, y: -5000 });
+
+		const location = getDialogRoot().getLocation();
+		assert.strictEqual(Math.round(location.x), 0, "The dialog is at the left edge of the viewport");
+		assert.strictEqual(Math.round(location.y), 0, "The dialog is at the top edge of the viewport");
+	});
+
+	it("moves the dialog with the arrow keys", () => {
+		const header = browser.$("#draggable-dialog").shadow$(".ui5-popup-header-root");
+		header.click();
+		header.keys("ArrowRight");
+		header.keys("ArrowDown");
+
+		assert.strictEqual(getGeometry().split(": ")[1].split(",").slice(0, 2).join(","), "16,16", "The dialog is moved by 16px in each direction");
+	});
+
+	it("resizes the dialog with the resize handle", () => {
+		const initialSize = getDialogRoot().getSize();
+		const resizeHandle = browser.$("#draggable-dialog").shadow$(".ui5-dialog-resize-handle");
+		resizeHandle.dragAndDrop({ x: 40, y: 20 });
+
+		const size = getDialogRoot().getSize();
+		assert.strictEqual(Math.round(size.width), Math.round(initialSize.width) + 40, "The width is increased");
+		assert.strictEqual(Math.round(size.height), Math.round(initialSize.height) + 20, "The height is increased");
+		assert.ok(getGeometry().startsWith("resizeEnd: "), "The resizeEnd event is fired");
+
+		resizeHandle.click();
+		resizeHandle.keys("ArrowLeft");
+
+		assert.strictEqual(Math.round(getDialogRoot().getSize().width), Math.round(size.width) - 16, "The width is decreased with the keyboard");
+
+		$("#btnCloseDraggableDialog").click();
+	});
+});
+
+describe("Dialog states and message boxes", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Dialog.html");
+	});
+
+	const getMessageBox = () => browser.$("body > ui5-dialog:last-of-type");
+	const getMessageBoxResult = () => browser.execute(() => window.messageBoxResult);
+
+	it("resolves a confirmation message box with the pressed action", () => {
+		browser.execute(() => {
+			window.MessageBox.confirm("Do you want to save the changes?").then(action => {
+				window.messageBoxResult = action;
+			});
+		});
+
+		const messageBox = getMessageBox();
+		assert.strictEqual(messageBox.shadow$(".ui5-dialog-root").getAttribute("role"), "dialog", "A confirmation is a regular dialog");
+		assert.strictEqual(messageBox.getProperty("headerText"), "Confirmation", "The default title is used");
+		assert.strictEqual(messageBox.$(".ui5-message-box-text").getCSSProperty("padding-top").value, "16px", "The text is styled by the dialog");
+
+		const buttons = messageBox.$$("ui5-button");
+		assert.strictEqual(buttons.length, 2, "There are OK and Cancel buttons");
+		assert.strictEqual(buttons[0].getProperty("design"), "Emphasized", "The first action is emphasized");
+
+		buttons[1].click();
+
+		assert.strictEqual(getMessageBoxResult(), "Cancel", "The promise is resolved with the pressed action");
+		assert.strictEqual(browser.$$("body > ui5-dialog").length, 2, "The message box is removed");
+	});
+
+	it("renders an error message box as an alert dialog", () => {
+		browser.execute(() => {
+			window.MessageBox.error("The changes could not be saved.", { actions: ["Retry", "Close"] }).then(action => {
+				window.messageBoxResult = action;
+			});
+		});
+
+		const messageBox = getMessageBox();
+		const root = messageBox.shadow$(".ui5-dialog-root");
+		assert.strictEqual(messageBox.getProperty("state"), "Error", "The state is Error");
+		assert.strictEqual(root.getAttribute("role"), "alertdialog", "An error is announced as an alert dialog");
+		assert.ok(messageBox.shadow$(".ui5-popup-header-state-icon").isExisting(), "The state icon is rendered");
+		assert.strictEqual(messageBox.shadow$(`#${root.getAttribute("aria-describedby")}`).getProperty("textContent"), "Error", "The state is described");
+
+		const buttons = messageBox.$$("ui5-button");
+		assert.strictEqual(buttons[0].getText(), "Retry", "Custom actions are displayed as they are");
+
+		buttons[0].click();
+
+		assert.strictEqual(getMessageBoxResult(), "Retry", "The promise is resolved with the custom action");
+	});
+
+	it("opens an information as a regular dialog and resolves with null, when closed with the Escape key", () => {
+		browser.execute(() => {
+			window.MessageBox.alert("The changes are saved.").then(action => {
+				window.messageBoxResult = action;
+			});
+		});
+
+		const messageBox = getMessageBox();
+		assert.strictEqual(messageBox.getProperty("state"), "None", "An information has no state");
+		assert.strictEqual(messageBox.shadow$(".ui5-dialog-root").getAttribute("role"), "dialog", "An information is a regular dialog");
+
+		messageBox.$("ui5-button").keys("Escape");
+
+		assert.strictEqual(getMessageBoxResult(), null, "The promise is resolved with null");
+	});
+});
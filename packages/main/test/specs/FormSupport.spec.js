@@ -28,3 +28,146 @@ describe("Form support", () => {
 	});
 
 });
+
+describe("Form association", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/FormSupport.html");
+	});
+
+	const getFormData = () => browser.execute(() => {
+		const formData = new FormData(document.getElementById("associationForm"));
+		return Array.from(formData.entries()).map(entry => entry.join("="));
+	});
+
+	const update = callback => {
+		browser.execute(callback);
+		browser.executeAsync(done => {
+			window.RenderScheduler.whenFinished().then(done);
+		});
+	};
+
+	it("The components are form-associated and submit their values", () => {
+		const formAssociated = browser.execute(() => {
+			return ["assocInput", "assocTextArea", "assocDatePicker", "assocCheckBox", "assocRadioA", "assocSelect"]
+				.every(id => document.getElementById(id).form === document.getElementById("associationForm"));
+		});
+		assert.ok(formAssociated, "All components are associated with the form");
+
+		assert.deepEqual(getFormData(), [
+			"input=initial",
+			"ta=abc",
+			"dp=Apr 10, 2019",
+			"cb=on",
+			"radio=a",
+			"select=second",
+		], "The values of the components are part of the form data");
+
+		assert.strictEqual(browser.$("#associationForm").$$("input[type=hidden]").length, 0, "No hidden inputs are created");
+	});
+
+	it("The submitted values follow the changes", () => {
+		update(() => {
+			document.getElementById("assocInput").value = "changed";
+			document.getElementById("assocTextArea").value = "xyz";
+			document.getElementById("assocDatePicker").value = "Apr 11, 2019";
+			document.getElementById("assocCheckBox").checked = false;
+			document.getElementById("assocRadioA").selected = false;
+			document.getElementById("assocRadioB").selected = true;
+			const options = document.getElementById("assocSelect").options;
+			options[1].selected = false;
+			options[2].selected = true;
+		});
+
+		assert.deepEqual(getFormData(), [
+			"input=changed",
+			"ta=xyz",
+			"dp=Apr 11, 2019",
+			"radio=b",
+			"select=third",
+		], "The changed values are submitted and the unchecked checkbox is not");
+	});
+
+	it("Form reset restores the initial values", () => {
+		update(() => {
+			document.getElementById("associationForm").reset();
+		});
+
+		const values = browser.execute(() => {
+			const get = id => document.getElementById(id);
+			return {
+				input: get("assocInput").value,
+				ta: get("assocTextArea").value,
+				dp: get("assocDatePicker").value,
+				cb: get("assocCheckBox").checked,
+				radioA: get("assocRadioA").selected,
+				radioB: get("assocRadioB").selected,
+				select: get("assocSelect").selectedOption.value,
+			};
+		});
+
+		assert.deepEqual(values, {
+			input: "initial",
+			ta: "abc",
+			dp: "Apr 10, 2019",
+			cb: true,
+			radioA: true,
+			radioB: false,
+			select: "second",
+		}, "All components have their initial values");
+
+		assert.deepEqual(getFormData(), [
+			"input=initial",
+			"ta=abc",
+			"dp=Apr 10, 2019",
+			"cb=on",
+			"radio=a",
+			"select=second",
+		], "The initial values are submitted again");
+	});
+
+	it("Required component without a value is invalid", () => {
+		update(() => {
+			document.getElementById("assocInput").value = "";
+		});
+
+		const validity = browser.execute(() => {
+			const input = document.getElementById("assocInput");
+			return {
+				valueMissing: input.validity.valueMissing,
+				checkValidity: input.checkValidity(),
+				formValid: document.getElementById("associationForm").checkValidity(),
+				matchesInvalid: input.matches(":invalid"),
+				message: input.validationMessage,
+			};
+		});
+
+		assert.ok(validity.valueMissing, "validity.valueMissing is set");
+		assert.notOk(validity.checkValidity, "checkValidity returns false");
+		assert.notOk(validity.formValid, "the form is invalid");
+		assert.ok(validity.matchesInvalid, "the component matches :invalid");
+		assert.ok(validity.message, "there is a validation message");
+
+		update(() => {
+			document.getElementById("assocInput").value = "filled";
+		});
+
+		assert.ok(browser.execute(() => document.getElementById("assocInput").checkValidity()), "The component is valid, once filled");
+		assert.notOk(browser.execute(() => document.getElementById("assocInput").matches(":invalid")), "The component does not match :invalid");
+	});
+
+	it("Too long value and error value state make the component invalid", () => {
+		update(() => {
+			document.getElementById("assocTextArea").value = "too long text";
+		});
+
+		assert.ok(browser.execute(() => document.getElementById("assocTextArea").validity.tooLong), "validity.tooLong is set");
+		assert.notOk(browser.execute(() => document.getElementById("assocTextArea").reportValidity()), "reportValidity returns false");
+
+		update(() => {
+			document.getElementById("assocDatePicker").valueState = "Error";
+		});
+
+		assert.ok(browser.execute(() => document.getElementById("assocDatePicker").validity.customError), "validity.customError is set");
+		assert.ok(browser.execute(() => document.getElementById("assocDatePicker").matches(":invalid")), "The component matches :invalid");
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require("chai").assert;
+
+const setFormatSettings = formatSettings => {
+	browser.executeAsync(async (formatSettings, done) => {
+		await window["sap-ui-webcomponents-bundle"].configuration.setFormatSettings(formatSettings);
+		done();
+	}, formatSettings);
+};
+
+describe("Format settings - DayPicker", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/DayPicker.html");
+	});
+
+	const getFirstDayName = () => browser.$("#daypicker").shadow$(".ui5-dp-days-names-container [role=columnheader]").getAttribute("aria-label");
+	const getFirstWeekNumber = () => browser.$("#daypicker").shadow$(".ui5-dp-weekname").getText();
+
+	it("ISO 8601 week numbering", () => {
+		browser.execute(() => {
+			document.getElementById("daypicker").timestamp = Date.UTC(2021, 0, 1) / 1000;
+		});
+		setFormatSettings({ calendarWeekNumbering: "ISO_8601" });
+
+		assert.strictEqual(getFirstDayName(), "Monday", "The week starts on Monday");
+		assert.strictEqual(getFirstWeekNumber(), "53", "Jan 1, 2021 is in the last week of 2020");
+	});
+
+	it("Western traditional week numbering", () => {
+		setFormatSettings({ calendarWeekNumbering: "WesternTraditional" });
+
+		assert.strictEqual(getFirstDayName(), "Sunday", "The week starts on Sunday");
+		assert.strictEqual(getFirstWeekNumber(), "1", "Jan 1, 2021 is in the first week of 2021");
+	});
+
+	it("The first day of the week overrides the one of the week numbering", () => {
+		setFormatSettings({ firstDayOfWeek: 3 });
+
+		assert.strictEqual(getFirstDayName(), "Wednesday", "The week starts on Wednesday");
+
+		setFormatSettings({ calendarWeekNumbering: "Default", firstDayOfWeek: null });
+	});
+});
+
+describe("Format settings - DatePicker", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/DatePicker_test_page.html");
+	});
+
+	const getInnerInput = () => browser.$("#dp").shadow$("ui5-input").shadow$("input");
+
+	it("formats the value with the new date pattern", () => {
+		browser.execute(() => {
+			document.getElementById("dp").value = "Jan 29, 2019";
+		});
+		setFormatSettings({ datePatterns: { medium: "dd.MM.yyyy" } });
+
+		assert.strictEqual(browser.$("#dp").getProperty("value"), "29.01.2019", "The value is formatted with the new pattern");
+		assert.strictEqual(getInnerInput().getAttribute("placeholder"), "dd.MM.yyyy", "The placeholder is the new pattern");
+	});
+
+	it("formats the value with the date pattern of the locale, when reset", () => {
+		setFormatSettings({ datePatterns: null });
+
+		assert.strictEqual(browser.$("#dp").getProperty("value"), "Jan 29, 2019", "The value is formatted with the pattern of the locale");
+	});
+});
@@ -1,7 +1,9 @@
 const assert = require("chai").assert;
 
 describe("Attributes propagation", () => {
-	browser.url("http://localhost:8080/test-resources/pages/Input.html");
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Input.html");
+	});
 
 	it("Should change the placeholder of the inner input", () => {
 		const input = $("#myInput");
@@ -53,7 +55,9 @@ describe("Attributes propagation", () => {
 });
 
 describe("Input general interaction", () => {
-	browser.url("http://localhost:8080/test-resources/pages/Input.html");
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Input.html");
+	});
 
 	it("Should open suggestions popover when focused", () => {
 		const input = $("#myInput2");
@@ -198,4 +202,65 @@ describe("Input general interaction", () => {
 		assert.ok(input5.getProperty("maxlength"), "Input's maxlength property should be applied.");
 		assert.strictEqual(inputShadowRef.getAttribute("maxlength"), "10", "Input's maxlength attribute should be applied.");
 	});
+
+	it("Input's native input can be styled via CSS Shadow Parts", () => {
+		const fontStyle = browser.execute(() => {
+			const style = document.createElement("style");
+			style.textContent = "#input1::part(input) { font-style: italic; }";
+			document.head.appendChild(style);
+
+			return getComputedStyle(document.getElementById("input1").shadowRoot.querySelector("input")).fontStyle;
+		});
+
+		assert.strictEqual(fontStyle, "italic", "The input part is styled");
+	});
+});
+
+describe("Input type Number", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Input.html?sap-ui-language=de");
+	});
+
+	it("Renders a text input, as the native number input does not accept the German decimal separator", () => {
+		const innerInput = browser.$("#input-number").shadow$(".ui5-input-inner");
+
+		assert.strictEqual(innerInput.getAttribute("type"), "text", "A text input is rendered");
+		assert.strictEqual(innerInput.getAttribute("inputmode"), "decimal", "The numeric soft keyboard is requested");
+	});
+
+	it("Parses and formats numbers in the format of the current locale", () => {
+		const input = browser.$("#input-number");
+		const innerInput = input.shadow$(".ui5-input-inner");
+
+		innerInput.click();
+		innerInput.keys("1234,5");
+
+		assert.strictEqual(input.getProperty("value"), "1234.5", "The value is parsed while typing");
+		assert.strictEqual(innerInput.getProperty("value"), "1234,5", "The text is displayed as typed while typing");
+
+		innerInput.keys("Tab");
+
+		assert.strictEqual(input.getProperty("value"), "1234.5", "The value is in JavaScript format");
+		assert.strictEqual(innerInput.getProperty("value"), "1.234,5", "The number is displayed in German format");
+	});
+
+	it("Displays numbers, set by the app, in the format of the current locale", () => {
+		browser.execute(() => {
+			document.getElementById("input-number").value = "9876543.21";
+		});
+
+		assert.strictEqual(browser.$("#input-number").shadow$(".ui5-input-inner").getProperty("value"), "9.876.543,21", "The number is displayed in German format");
+	});
+
+	it("Keeps texts, which are not numbers", () => {
+		const input = browser.$("#input-number");
+		const innerInput = input.shadow$(".ui5-input-inner");
+
+		innerInput.click();
+		innerInput.setValue("abc");
+		innerInput.keys("Tab");
+
+		assert.strictEqual(input.getProperty("value"), "abc", "The text is kept as value");
+		assert.strictEqual(innerInput.getProperty("value"), "abc", "The text is displayed as typed");
+	});
 });
@@ -0,0 +1,24 @@
+const assert = require("chai").assert;
+
+describe("Language change at runtime", () => {
+	browser.url("http://localhost:8080/test-resources/pages/MessageStrip.html");
+
+	const getCloseButtonTitle = () => browser.$("#messageStrip").shadow$(".ui5-messagestrip-close-icon-wrapper").getAttribute("title");
+
+	const setLanguage = language => {
+		browser.executeAsync(async (language, done) => {
+			await window["sap-ui-webcomponents-bundle"].configuration.setLanguage(language);
+			done();
+		}, language);
+	};
+
+	it("re-renders the components with the texts in the new language", () => {
+		assert.strictEqual(getCloseButtonTitle(), "Message Strip Close", "The English text is rendered initially");
+
+		setLanguage("de");
+		assert.strictEqual(getCloseButtonTitle(), "Schließen der Nachrichtenzeile", "The German text is rendered after the language change");
+
+		setLanguage("en");
+		assert.strictEqual(getCloseButtonTitle(), "Message Strip Close", "The English text is rendered again");
+	});
+});
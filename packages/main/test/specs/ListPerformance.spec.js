@@ -0,0 +1,62 @@
+const assert = require("chai").assert;
+
+describe("List performance", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/ListPerformance.html");
+	});
+
+	it("Items pushed one by one are all slotted, in order, from the mutations only", () => {
+		const res = browser.executeAsync(async done => {
+			const list = document.getElementById("list");
+			const calls = { full: 0, incremental: 0 };
+			const updateSlots = list._updateSlots;
+			const updateSlotsFromMutations = list._updateSlotsFromMutations;
+
+			list._updateSlots = function () {
+				calls.full++;
+				return updateSlots.apply(this, arguments);
+			};
+			list._updateSlotsFromMutations = function () {
+				calls.incremental++;
+				return updateSlotsFromMutations.apply(this, arguments);
+			};
+
+			const result = await window.pushItemsOneByOne(200);
+			result.inOrder = list.items.every((item, idx) => item.textContent === `Item ${idx + 1}`);
+			result.calls = calls;
+
+			delete list._updateSlots;
+			delete list._updateSlotsFromMutations;
+
+			return done(result);
+		});
+
+		assert.strictEqual(res.itemsCount, 200, "All items are slotted");
+		assert.ok(res.inOrder, "The items are in the light DOM order");
+		assert.strictEqual(res.calls.full, 0, "The children are not redistributed from scratch");
+		assert.isAbove(res.calls.incremental, 0, "The slots are updated from the mutations");
+	});
+
+	it("Items inserted and removed in the middle keep the light DOM order", () => {
+		const res = browser.executeAsync(async done => {
+			const list = document.getElementById("list");
+			const newItem = document.createElement("ui5-li");
+			newItem.textContent = "New item";
+
+			list.insertBefore(newItem, list.children[1]);
+			list.removeChild(list.children[3]);
+			await new Promise(resolve => setTimeout(resolve, 0)); // let the mutation observer process the changes
+			await window.RenderScheduler.whenFinished();
+
+			return done({
+				itemsCount: list.items.length,
+				texts: list.items.slice(0, 4).map(item => item.textContent),
+				inSlot: list.items.every((item, idx) => item === list.children[idx]),
+			});
+		});
+
+		assert.strictEqual(res.itemsCount, 200, "One item added and one removed");
+		assert.deepEqual(res.texts, ["Item 1", "New item", "Item 2", "Item 4"], "The items are in the light DOM order");
+		assert.ok(res.inSlot, "The slot matches the light DOM children");
+	});
+});
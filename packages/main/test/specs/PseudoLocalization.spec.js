@@ -0,0 +1,48 @@
+const assert = require("chai").assert;
+
+describe("Pseudo-localization", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/MultiComboBox.html");
+
+		browser.execute(() => {
+			const container = document.createElement("div");
+			container.innerHTML = `<ui5-button id="pseudoButton">Save</ui5-button>
+				<ui5-tabcontainer id="pseudoTabContainer"><ui5-tab text="Tab One" selected></ui5-tab></ui5-tabcontainer>`;
+			document.body.insertBefore(container, document.body.firstChild);
+		});
+	});
+
+	const setPseudoLocalization = pseudoLocalization => {
+		browser.executeAsync(async (pseudoLocalization, done) => {
+			await window["sap-ui-webcomponents-bundle"].configuration.setPseudoLocalization(pseudoLocalization);
+			done();
+		}, pseudoLocalization);
+	};
+
+	const getNMoreText = () => browser.$("#more-mcb").shadow$("ui5-tokenizer").shadow$(".ui5-tokenizer-more-text").getText();
+	const getButtonText = () => browser.$("#pseudoButton").shadow$(".ui5-button-text").getText();
+	const getTabText = () => browser.$("#pseudoTabContainer").shadow$(".ui5-tc__headerItemText").getText();
+
+	it("pseudo-localizes the texts of the rendered components", () => {
+		$("#more-mcb").scrollIntoView();
+		setPseudoLocalization(true);
+
+		const nMoreText = getNMoreText();
+		assert.ok(nMoreText.startsWith("[") && nMoreText.endsWith("]"), "The text is bracketed");
+		assert.include(nMoreText, "Ṁöŕé", "The text is accented");
+		assert.include(nMoreText, "··", "The text is expanded");
+	});
+
+	it("pseudo-localizes the texts, set by the app", () => {
+		assert.strictEqual(getButtonText(), "[Šàṽé ··]", "The text of the button is pseudo-localized");
+		assert.strictEqual(getTabText(), "[Ţàƀ Öñé ···]", "The text of the tab is pseudo-localized");
+	});
+
+	it("restores the texts when turned off", () => {
+		setPseudoLocalization(false);
+
+		assert.strictEqual(getNMoreText(), "1 More", "The text is not pseudo-localized");
+		assert.ok(browser.$("#pseudoButton").shadow$(".ui5-button-text slot").isExisting(), "The text of the button is displayed as is");
+		assert.strictEqual(getTabText(), "Tab One", "The text of the tab is restored");
+	});
+});
@@ -21,4 +21,87 @@ describe("RTL", () => {
 		const buttonRoot = browser.$("#button1").shadow$(".ui5-button-root");
 		assert.notOk(buttonRoot.getProperty("dir"), "dir is not present");
 	});
-});
\ No newline at end of file
+
+	it("setRTL re-renders the components", () => {
+		browser.url("http://localhost:8080/test-resources/pages/Button.html");
+
+		browser.executeAsync(async done => {
+			await window["sap-ui-webcomponents-bundle"].configuration.setRTL(true);
+			done();
+		});
+
+		const buttonRoot = browser.$("#button1").shadow$(".ui5-button-root");
+		assert.strictEqual(buttonRoot.getProperty("dir"), "rtl", "dir is correctly set");
+	});
+
+	it("dir attribute on an ancestor overrides the global setting", () => {
+		browser.url("http://localhost:8080/test-resources/pages/Button.html?sap-ui-rtl=true");
+
+		browser.executeAsync(async done => {
+			const container = document.createElement("div");
+			container.setAttribute("dir", "ltr");
+			container.innerHTML = `<ui5-button id="ltrButton">LTR Button</ui5-button>`;
+			document.body.appendChild(container);
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+
+		const buttonRoot = browser.$("#ltrButton").shadow$(".ui5-button-root");
+		assert.notOk(buttonRoot.getProperty("dir"), "dir is not present");
+	});
+
+	it("explicit config takes precedence over the dir attribute of the html element", () => {
+		browser.url("http://localhost:8080/test-resources/pages/Button.html?sap-ui-rtl=true");
+
+		browser.executeAsync(async done => {
+			document.documentElement.setAttribute("dir", "ltr");
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+
+		const buttonRoot = browser.$("#button1").shadow$(".ui5-button-root");
+		assert.strictEqual(buttonRoot.getProperty("dir"), "rtl", "sap-ui-rtl=true wins over html dir=ltr");
+
+		browser.executeAsync(async done => {
+			document.documentElement.setAttribute("dir", "rtl");
+			await window["sap-ui-webcomponents-bundle"].configuration.setRTL(false);
+			done();
+		});
+
+		assert.notOk(buttonRoot.getProperty("dir"), "setRTL(false) wins over html dir=rtl");
+	});
+
+	it("dir attribute of the html element is used, when RTL is not set explicitly", () => {
+		browser.url("http://localhost:8080/test-resources/pages/Button.html");
+
+		const buttonRoot = browser.$("#button1").shadow$(".ui5-button-root");
+
+		browser.execute(() => {
+			document.documentElement.setAttribute("dir", "rtl");
+		});
+
+		browser.waitUntil(() => buttonRoot.getProperty("dir") === "rtl", 1000, "The component is re-rendered after the html dir change");
+	});
+
+	it("changing the dir attribute of an ancestor at runtime re-renders the components", () => {
+		browser.url("http://localhost:8080/test-resources/pages/Button.html");
+
+		browser.executeAsync(async done => {
+			const container = document.createElement("div");
+			container.id = "dirContainer";
+			container.innerHTML = `<ui5-button id="dirButton">Button</ui5-button>`;
+			document.body.appendChild(container);
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+
+		const buttonRoot = browser.$("#dirButton").shadow$(".ui5-button-root");
+		assert.notOk(buttonRoot.getProperty("dir"), "dir is not present initially");
+
+		browser.execute(() => {
+			document.getElementById("dirContainer").setAttribute("dir", "rtl");
+		});
+
+		browser.waitUntil(() => buttonRoot.getProperty("dir") === "rtl", 1000, "The component is re-rendered after the ancestor dir change");
+	});
+});
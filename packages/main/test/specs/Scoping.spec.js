@@ -0,0 +1,95 @@
+const assert = require("chai").assert;
+
+describe("Custom elements scoping", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Scoping.html");
+	});
+
+	const getStyleText = selector => {
+		return browser.execute(selector => {
+			const shadowRoot = document.querySelector(selector).shadowRoot;
+			const sheets = shadowRoot.adoptedStyleSheets && shadowRoot.adoptedStyleSheets.length
+				? shadowRoot.adoptedStyleSheets : Array.from(shadowRoot.querySelectorAll("style")).map(style => style.sheet);
+			return sheets.map(sheet => Array.from(sheet.cssRules).map(rule => rule.cssText).join(" ")).join(" ");
+		}, selector);
+	};
+
+	it("defines the components with the suffix", () => {
+		const res = browser.execute(() => {
+			const Button = customElements.get("ui5-button-demo");
+			return {
+				defined: !!Button,
+				unscopedDefined: !!customElements.get("ui5-button"),
+				tag: Button.getMetadata().getTag(),
+				pureTag: Button.getMetadata().getPureTag(),
+			};
+		});
+
+		assert.ok(res.defined, "The component is defined with the suffix");
+		assert.notOk(res.unscopedDefined, "The component is not defined without the suffix");
+		assert.strictEqual(res.tag, "ui5-button-demo", "The metadata returns the scoped tag");
+		assert.strictEqual(res.pureTag, "ui5-button", "The metadata returns the declared tag");
+	});
+
+	it("renders the scoped tags of the components used in the templates", () => {
+		const button = browser.$("#button");
+
+		assert.ok(button.shadow$("ui5-icon-demo").isExisting(), "The icon is rendered with the scoped tag");
+		assert.notOk(button.shadow$("ui5-icon").isExisting(), "The icon is not rendered with the declared tag");
+	});
+
+	it("scopes the type selectors in the component styles", () => {
+		const styleText = getStyleText("#badge");
+
+		assert.include(styleText, "::slotted(ui5-icon-demo)", "The type selector is scoped");
+		assert.notInclude(styleText, "::slotted(ui5-icon)", "The declared tag is not used in the selector");
+	});
+
+	it("renders the static area with the suffix and finds the popover in it", () => {
+		browser.$("#select").click();
+
+		const res = browser.execute(() => {
+			const select = document.getElementById("select");
+			const staticAreaItem = select.getStaticAreaItemDomRef().host;
+			return {
+				staticArea: !!document.querySelector("ui5-static-area-demo"),
+				unscopedStaticArea: !!document.querySelector("ui5-static-area"),
+				staticAreaItemTag: staticAreaItem.localName,
+				popoverTag: select._respPopover && select._respPopover.localName,
+				opened: select._isPickerOpen,
+			};
+		});
+
+		assert.ok(res.staticArea, "The static area is rendered with the suffix");
+		assert.notOk(res.unscopedStaticArea, "The static area is not rendered with the declared tag");
+		assert.strictEqual(res.staticAreaItemTag, "ui5-static-area-item-demo", "The static area item is rendered with the suffix");
+		assert.strictEqual(res.popoverTag, "ui5-responsive-popover-demo", "The popover is found by its scoped tag");
+		assert.ok(res.opened, "The popover is opened");
+
+		browser.keys("Escape");
+	});
+
+	it("scopes the type selectors in the static area styles", () => {
+		browser.execute(() => {
+			document.getElementById("datePicker").openPicker();
+		});
+		browser.waitUntil(() => browser.execute(() => document.getElementById("datePicker").isOpen()), 1000, "The picker is opened");
+
+		const res = browser.execute(() => {
+			const datePicker = document.getElementById("datePicker");
+			const shadowRoot = datePicker.getStaticAreaItemDomRef();
+			const styleText = Array.from(shadowRoot.querySelectorAll("style")).map(style => style.textContent).join(" ");
+			return {
+				styleText,
+				calendar: !!shadowRoot.querySelector("ui5-calendar-demo"),
+			};
+		});
+
+		assert.ok(res.calendar, "The calendar in the static area is rendered with the suffix");
+		assert.match(res.styleText, /ui5-calendar-demo\s*{/, "The type selector in the static area styles is scoped");
+
+		browser.execute(() => {
+			document.getElementById("datePicker").closePicker();
+		});
+	});
+});
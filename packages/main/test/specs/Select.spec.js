@@ -228,4 +228,26 @@ describe("Select general interaction", () => {
 
 		assert.strictEqual(inputResult.getProperty("value"), "7", "Change event should be fired");
 	});
+
+	it("applies custom static area CSS to the already rendered dropdown", () => {
+		const staticAreaItemClassName = browser.getStaticAreaItemClassName("#mySelect");
+		const getFirstItemColor = () => browser.execute(staticAreaItemClassName => {
+			const firstItem = document.querySelector(`.${staticAreaItemClassName}`).shadowRoot.querySelector("ui5-li");
+			return getComputedStyle(firstItem).color;
+		}, staticAreaItemClassName);
+
+		browser.executeAsync(async done => {
+			window.Theming.addCustomStaticAreaCSS("ui5-select", "ui5-li { color: rgb(255, 0, 0); }");
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+		assert.strictEqual(getFirstItemColor(), "rgb(255, 0, 0)", "Custom CSS is applied to the dropdown");
+
+		browser.executeAsync(async done => {
+			window.Theming.removeCustomStaticAreaCSS("ui5-select");
+			await window.RenderScheduler.whenFinished();
+			done();
+		});
+		assert.notStrictEqual(getFirstItemColor(), "rgb(255, 0, 0)", "Custom CSS is removed from the dropdown");
+	});
 });
@@ -2,7 +2,9 @@ const assert = require("chai").assert;
 
 
 describe("Toast general interaction", () => {
-	browser.url("http://localhost:8080/test-resources/pages/Toast.html");
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Toast.html");
+	});
 
 	it("tests open attribute before show", () => {
 		const toast = browser.$("#wcToastME");
@@ -44,11 +46,15 @@ describe("Toast general interaction", () => {
 			"Placement should be the default BottomCenter");
 	});
 
-	it("tests shadow content div role", () => {
-		const toastShadowContent = browser.$("#wcToastBE").shadow$(".ui5-toast-content");
+	it("tests announcement via the live region", () => {
+		const button = browser.$("#wcBtnShowToastBE");
 
-		assert.strictEqual(toastShadowContent.getAttribute("role"), "alert",
-			"The role of the shadow ui5-toast-content div should be alert");
+		button.click();
+
+		browser.waitUntil(() => browser.$(".ui5-toast-live-region").getProperty("textContent") === "BottomEnd", 1000,
+			"The text of the toast should be announced via the live region");
+		assert.strictEqual(browser.$(".ui5-toast-live-region").getAttribute("aria-live"), "polite",
+			"The live region should be polite");
 	});
 
 	it("tests shadow content div inline styles with default duration", () => {
@@ -114,6 +120,25 @@ describe("Toast general interaction", () => {
 		"Toast's content div shouldn't be displayed in the viewport after its closing.")
 	});
 
+	it("tests that the transitions of the content do not close the toast", () => {
+		const button = browser.$("#wcBtnShowToastBS");
+		const toast = browser.$("#wcToastBS");
+
+		button.click();
+
+		browser.execute(() => {
+			const toast = document.getElementById("wcToastBS");
+			const content = document.createElement("span");
+
+			toast.appendChild(content);
+			content.dispatchEvent(new TransitionEvent("transitionend", { bubbles: true, propertyName: "opacity" }));
+			toast.shadowRoot.querySelector(".ui5-toast-content").dispatchEvent(new TransitionEvent("transitionend", { propertyName: "transform" }));
+			toast.removeChild(content);
+		});
+
+		assert.ok(toast.getProperty("open"), "The toast is still open");
+	});
+
 	it("tests minimum allowed duration", () => {
 		const toast = browser.$("#wcToastTE");
 
@@ -121,3 +146,42 @@ describe("Toast general interaction", () => {
 				"Duration property is forced to be 500, when -1 is passed for duration attribute.");
 	});
 });
+
+describe("Toast stacking and action", () => {
+	before(() => {
+		browser.url("http://localhost:8080/test-resources/pages/Toast.html");
+	});
+
+	const getContent = id => browser.$(`#${id}`).shadow$(".ui5-toast-content");
+
+	it("stacks up to 3 toasts with the same placement and queues the rest", () => {
+		browser.$("#wcShowStackedToasts").click();
+
+		assert.ok(browser.$("#wcToastStack1").getProperty("open"), "The first toast is open");
+		assert.ok(browser.$("#wcToastStack2").getProperty("open"), "The second toast is open");
+		assert.ok(browser.$("#wcToastStack3").getProperty("open"), "The third toast is open");
+		assert.notOk(browser.$("#wcToastStack4").getProperty("open"), "The fourth toast is queued");
+
+		assert.ok(getContent("wcToastStack2").getLocation("y") > getContent("wcToastStack1").getLocation("y"),
+			"The second toast is below the first one");
+		assert.ok(getContent("wcToastStack3").getLocation("y") > getContent("wcToastStack2").getLocation("y"),
+			"The third toast is below the second one");
+	});
+
+	it("pauses the closing, while the toast is hovered", () => {
+		getContent("wcToastStack2").moveTo();
+
+		assert.notInclude(getContent("wcToastStack2").getAttribute("style"), "opacity: 0",
+			"The hovered toast does not fade out");
+		assert.include(getContent("wcToastStack3").getAttribute("style"), "opacity: 0",
+			"The other toasts fade out");
+	});
+
+	it("closes the toast on action click and shows the queued toast", () => {
+		browser.$("#wcToastStack1").shadow$(".ui5-toast-action").click();
+
+		assert.strictEqual(browser.$("#wcToastActionResult").getProperty("value"), "Undo 1", "The actionClick event is fired");
+		assert.notOk(browser.$("#wcToastStack1").getProperty("open"), "The toast is closed");
+		assert.ok(browser.$("#wcToastStack4").getProperty("open"), "The queued toast is open");
+	});
+});
@@ -6,6 +6,7 @@ const slotsTemplate = require('./templates/api-slots-section').template;
 const eventsTemplate = require('./templates/api-events-section').template;
 const methodsTemplate = require('./templates/api-methods-section').template;
 const cssVariablesTemplate = require('./templates/api-css-variables-section').template;
+const cssPartsTemplate = require('./templates/api-css-parts-section').template;
 const Handlebars = require('handlebars/dist/handlebars.min.js');
 const fs = require('fs');
 const path = require('path');
@@ -51,6 +52,7 @@ Handlebars.registerPartial('slots', slotsTemplate);
 Handlebars.registerPartial('events', eventsTemplate);
 Handlebars.registerPartial('methods', methodsTemplate);
 Handlebars.registerPartial('cssVariables', cssVariablesTemplate);
+Handlebars.registerPartial('cssParts', cssPartsTemplate);
 
 mkdirp(`dist/test-resources/api`);
 
@@ -71,13 +73,14 @@ const calculateAPI = entry => {
 	entry = appendCSSVarsAPI(entry);
 	parent = appendCSSVarsAPI(parent);
 
-	parent = { ...{ properties: [], events: [], slots: [], cssVariables: [] }, ...parent };
+	parent = { ...{ properties: [], events: [], slots: [], cssVariables: [], cssParts: [] }, ...parent };
 
 	// extend component documentation
 	entry.properties = [...(entry.properties || []), ...(parent.properties || [])];
 	entry.events = [...(entry.events || []), ...(parent.events || [])];
 	entry.slots = [...(entry.slots || []), ...(parent.slots || [])];
 	entry.cssVariables = [...(entry.cssVariables || []), ...(parent.cssVariables || [])];
+	entry.cssParts = [...(entry.cssParts || []), ...(parent.cssParts || [])];
 
 	entriesAPI.push(entry.basename);
 
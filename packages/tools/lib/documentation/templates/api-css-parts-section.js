@@ -0,0 +1,24 @@
+module.exports = {
+    template: `
+      {{#if cssParts}}
+        <h3 class="comment-api-title space-top" >CSS Shadow Parts</h3>
+        <p class="small-space-top">You can use the <code>::part()</code> pseudo-element to style the following parts of the component's shadow DOM.</p>
+
+        <div class="small-space-top api-table">
+          <div class="head api-table-header-roll">
+            <div class="cell api-table-header-cell">Name</div>
+            <div class="cell api-table-header-cell">Description</div>
+          </div>
+
+          {{#each cssParts}}
+            <div class="row {{checkEven @index}}">
+              <div class="cell api-table-content-cell api-table-content-cell-bold">{{this.name}}</div>
+              <div class="cell api-table-content-cell api-table-content-cell-description">
+                  {{{this.description}}}
+              </div>
+            </div>
+          {{/each}}
+
+        </div>
+      {{/if}}`
+};
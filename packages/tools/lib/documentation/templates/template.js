@@ -10,6 +10,7 @@ module.exports = {
             {{> events this}}
             {{> methods this}}
             {{> cssVariables this}} 
+            {{> cssParts this}}
           </section>
         </section>
       </div>
@@ -24,6 +25,7 @@ module.exports = {
             {{> slots this}}
             {{> events this}}
             {{> cssVariables this}} 
+            {{> cssParts this}}
           </section>
         </section>
       </div>
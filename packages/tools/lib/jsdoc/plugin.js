@@ -31,6 +31,8 @@
  *
  *   customtag
  *
+ *   csspart
+ *
  * It furthermore listens to the following JSDoc3 events to implement additional functionality
  *
  *   parseBegin
@@ -2079,6 +2081,23 @@ exports.defineTags = function(dictionary) {
 			doclet.customtag = tag.value;
 		}
 	});
+
+	/**
+	 * Documents a CSS Shadow Part of a web component: "@csspart name - description"
+	 */
+	dictionary.defineTag('csspart', {
+		mustHaveValue: true,
+		onTagged: function(doclet, tag) {
+			var match = /^\s*([\w{}-]+)\s*(?:-\s*)?([\s\S]*)$/.exec(tag.value);
+			if ( match ) {
+				doclet.cssParts = doclet.cssParts || [];
+				doclet.cssParts.push({
+					name: match[1],
+					description: match[2].trim()
+				});
+			}
+		}
+	});
 };
 
 exports.handlers = {
@@ -2657,6 +2657,16 @@ function createAPIJSON4Symbol(symbol, omitDefaults) {
 	if (symbol.appenddocs) {
 		attrib("appenddocs", symbol.appenddocs);
 	}
+	if (symbol.cssParts) {
+		collection("cssParts");
+		symbol.cssParts.forEach(function(part) {
+			tag("cssPart");
+			attrib("name", part.name);
+			tag("description", normalizeWS(part.description), true);
+			closeTag("cssPart");
+		});
+		endCollection("cssParts");
+	}
 	if ( symbol.__ui5.resource ) {
 		attrib("resource", symbol.__ui5.resource);
 	}